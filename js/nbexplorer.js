@@ -14,7 +14,7 @@
 
 /**
  * Map storing card metadata with unique IDs for modal viewing
- * @type {Map<string, {filename: string, raw: string, type: string}>}
+ * @type {Map<string, {filename: string, path: string, raw: string, type: string}>}
  */
 const cardMap = new Map();
 
@@ -31,10 +31,10 @@ let folderStructure = {};
 let currentPath = [];
 
 /**
- * Whether to show Python .py files in the gallery
- * @type {boolean}
+ * File type ids (keys of FILE_TYPES) currently filtered out of the gallery
+ * @type {Set<string>}
  */
-let showPyFiles = true;
+const hiddenFileTypes = new Set();
 
 /**
  * Current modal navigation state - tracks the active card
@@ -48,6 +48,166 @@ let currentCardIndex = -1;
  */
 let navigationCardIds = [];
 
+/**
+ * Headings of the file open in the viewer, in document order (drives the outline sidebar)
+ * @type {HTMLElement[]}
+ */
+let viewerHeadings = [];
+
+/**
+ * Gallery layout chosen in the toolbar; kept for the session (in memory only)
+ * - sort: a GALLERY_COLUMNS key; direction: 'asc' or 'desc'
+ * - group: 'none' (folders, then files), 'folder' or 'kernel' (every file below the
+ *   current folder, grouped)
+ * - view: 'cards' or 'table'
+ * @type {{sort: string, direction: string, group: string, view: string}}
+ */
+const galleryOptions = { sort: 'name', direction: 'asc', group: 'none', view: 'cards' };
+
+/**
+ * Cards picked for comparison (Ctrl/⌘+click), at most two
+ * @type {{id: string, path: string}[]}
+ */
+let compareSelection = [];
+
+/**
+ * Display options of the notebook diff view
+ * @type {{layout: 'split'|'unified', outputs: boolean}}
+ */
+const diffOptions = { layout: 'split', outputs: false };
+
+/**
+ * The load in progress (scanning folders, opening archives), or null
+ * Holds the counters shown in the progress overlay, the cancel flag and the
+ * "path: reason" of entries the folder scan could not read.
+ * @type {{cancelled: boolean, files: number, folders: number, ignored: number, unreadable: string[], status: string, lastUpdate: number}|null}
+ */
+let activeLoad = null;
+
+/**
+ * Folder opened in live mode (File System Access API), or null
+ * `stamps` maps each file path to its last seen "lastModified:size"; `archives` keeps the
+ * expanded members of each archive so re-scans only open archives that changed.
+ * @type {{handle: FileSystemDirectoryHandle, files: File[], stamps: Map<string, string>, archives: Map<string, {stamp: string, members: File[]}>, timer: number, scanning: boolean}|null}
+ */
+let liveFolder = null;
+
+/**
+ * Paths of files changed or added on disk since they were first shown (live mode)
+ * @type {Set<string>}
+ */
+const updatedPaths = new Set();
+
+/**
+ * Index of the notebook cell the viewer is scrolled to, encoded in the URL hash (or null)
+ * @type {number|null}
+ */
+let viewerRouteCell = null;
+
+/**
+ * Route from the URL hash waiting for files to be loaded (e.g. a shared link)
+ * @type {{path: string[], file: string|null, cell: number|null}|null}
+ */
+let pendingRoute = null;
+
+/**
+ * True while a route from the URL is being applied, so it is not pushed back to history
+ * @type {boolean}
+ */
+let applyingRoute = false;
+
+/**
+ * Full-text search index over every loaded file, built in the background
+ * (see buildSearchIndex)
+ * @type {Object}
+ */
+let searchIndex = createSearchIndex();
+
+/**
+ * Notebook shown in the viewer while its cells are rendered lazily
+ * (see renderNotebookInViewer), or null for other files and panels
+ * @type {{nb: Object, language: string, lint: Map<number, Object[]>, observer: IntersectionObserver}|null}
+ */
+let viewerNotebook = null;
+
+/**
+ * Search highlight applied to viewer content as it is rendered
+ * @type {RegExp|null}
+ */
+let viewerHighlight = null;
+
+/**
+ * Files larger than this (bytes) are only opened in the viewer after confirmation; 0 never asks
+ * (set from the gallery toolbar, starting at DEFAULT_LARGE_FILE_WARNING_MB)
+ * @type {number}
+ */
+let largeFileWarningBytes = 0;
+
+/**
+ * Problems found while loading notebooks (see parseNotebookJson), by notebook object
+ * @type {WeakMap<Object, {problems: {where: string, message: string}[], jsonError: Object|null}>}
+ */
+const notebookDiagnostics = new WeakMap();
+
+/**
+ * LRU cache of loaded files keyed by path, shared by previews, the viewer and search
+ * (see getFileEntry). Map order is recency order: the first entry is the least recently used.
+ * `pending` holds reads in progress, `generation` changes whenever the cache is cleared.
+ * @type {{entries: Map<string, Object>, chars: number, pending: Map<string, Promise<Object>>, generation: number}}
+ */
+const fileCache = { entries: new Map(), chars: 0, pending: new Map(), generation: 0 };
+
+/**
+ * Worker reading and parsing notebooks: null until first used, false where workers are unavailable
+ * @type {{worker: Worker, requests: Map<number, Object>, nextId: number}|null|false}
+ */
+let parseWorker = null;
+
+/**
+ * Vendored font files inlined in HTML exports, as data URIs by URL (null where the file
+ * could not be read, e.g. from file:// pages)
+ * @type {Map<string, string|null>}
+ */
+const exportFontData = new Map();
+
+/**
+ * Figure shown in the lightbox of the figure gallery, with its notebook file
+ * @type {{file: File, cell: number, mime: string, data: string}|null}
+ */
+let lightboxFigure = null;
+
+/**
+ * Path of the gallery card or row with the keyboard focus ring (kept across re-renders)
+ * @type {string|null}
+ */
+let galleryFocusPath = null;
+
+/**
+ * Open command palette: its entries, the entries matching the input, the highlighted one,
+ * and the element to give the focus back to
+ * @type {{items: Object[], matches: Object[], selected: number, returnFocus: Element|null}|null}
+ */
+let commandPalette = null;
+
+/**
+ * Element to give the focus back to when a dialog (viewer, lightbox, shortcut overlay) closes
+ * @type {WeakMap<HTMLElement, Element>}
+ */
+const dialogReturnFocus = new WeakMap();
+
+/**
+ * Pending screen reader announcement (see announce)
+ * @type {number}
+ */
+let announceTimer = 0;
+
+/**
+ * Theme chosen with the theme selector: a THEMES key, or 'auto' to follow the system
+ * (kept for the session only - nothing is stored)
+ * @type {string}
+ */
+let themePreference = 'auto';
+
 /**
  * Debug mode flag - set to true to enable console logging for path debugging
  * @type {boolean}
@@ -61,17 +221,348 @@ let debugMode = false;
 /** Number of notebook cells to show in preview */
 const NOTEBOOK_PREVIEW_CELLS = 3;
 
-/** Number of lines to show in Python file preview */
-const PYTHON_PREVIEW_LINES = 8;
+/** Number of lines to show in code file previews (.py, .R, .jl, .sql, ...) */
+const CODE_PREVIEW_LINES = 8;
+
+/** Number of lines of a markdown file rendered in its preview */
+const MARKDOWN_PREVIEW_LINES = 20;
+
+/** Number of CSV rows (header included) shown in previews */
+const CSV_PREVIEW_ROWS = 6;
+
+/** Maximum number of CSV rows rendered in the viewer */
+const CSV_MAX_ROWS = 2000;
+
+/** Distance (px) from the top of the viewer at which a heading counts as the current section */
+const SCROLL_SPY_OFFSET = 80;
+
+/** Notebook cells closer than this (px) to the visible part of the viewer are rendered */
+const VIEWER_RENDER_MARGIN = 1500;
+
+/** Text outputs longer than this many lines are collapsed in the viewer */
+const OUTPUT_COLLAPSE_LINES = 200;
+
+/** Outputs larger than this many characters are collapsed in the viewer */
+const OUTPUT_COLLAPSE_CHARS = 100000;
+
+/** Cell types of nbformat 4 */
+const NOTEBOOK_CELL_TYPES = ['code', 'markdown', 'raw'];
+
+/** Output types of nbformat 4 */
+const NOTEBOOK_OUTPUT_TYPES = ['stream', 'display_data', 'execute_result', 'error'];
+
+/** nbformat 2/3 output keys and the MIME types they became in nbformat 4 */
+const LEGACY_OUTPUT_MIME_TYPES = {
+  text: 'text/plain', html: 'text/html', markdown: 'text/markdown', latex: 'text/latex',
+  svg: 'image/svg+xml', png: 'image/png', jpeg: 'image/jpeg', pdf: 'application/pdf',
+  json: 'application/json', javascript: 'application/javascript'
+};
+
+/** Maximum number of problems listed in the diagnostics panel */
+const MAX_DIAGNOSTICS = 50;
+
+/** Characters of context shown around a JSON syntax error */
+const JSON_EXCERPT_CONTEXT = 60;
+
+/** Characters of file text kept by the file cache; parsed notebooks count their text twice */
+const FILE_CACHE_MAX_CHARS = 64 * 1024 * 1024;
+
+/** Delay (ms) before the files next to the one in the viewer are parsed in advance */
+const PREFETCH_DELAY = 200;
+
+/** Default size (MB) above which the viewer asks before opening a file; 0 never asks */
+const DEFAULT_LARGE_FILE_WARNING_MB = 20;
+
+/** Largest LCS table (rows × columns) computed by diffSequences before falling back to replace-all */
+const MAX_DIFF_CELLS = 4000000;
+
+/** Minimum line similarity (0-1) for two differing cells to be shown as one modified cell */
+const DIFF_SIMILARITY_THRESHOLD = 0.4;
+
+/**
+ * Computed properties copied inline into exported HTML when the page stylesheets cannot
+ * be read (Chromium blocks cssRules for pages opened from file://)
+ */
+const EXPORT_INLINE_PROPERTIES = [
+  'color', 'background-color', 'font-family', 'font-size', 'font-weight', 'font-style',
+  'text-decoration-line', 'white-space', 'display', 'padding', 'margin', 'border',
+  'border-left', 'border-radius', 'text-align', 'vertical-align', 'overflow-x', 'max-width'
+];
+
+/** Matches a url() in CSS text; group 2 holds the URL */
+const FONT_URL_PATTERN = /url\((["']?)([^"')]+)\1\)/g;
+
+/** Computed values skipped when inlining styles, as they match the browser defaults */
+const EXPORT_DEFAULT_VALUES = new Set(['none', 'normal', 'auto', '0px', 'rgba(0, 0, 0, 0)', 'visible', 'start', 'baseline']);
+
+/**
+ * Matches a jupytext percent cell marker anywhere in a script
+ * The marker must end the word, so commented cell magics (`# %%time`) are not markers.
+ */
+const PERCENT_MARKER = /^# %%(?=\s|$)/m;
+
+/** Matches a percent cell marker line; group 1 holds the title, cell type and metadata */
+const PERCENT_MARKER_LINE = /^# %%(?=\s|$)(.*)$/;
+
+/**
+ * Matches a magic or shell command commented out by jupytext in a Python code cell
+ * jupytext puts the `# ` after the indentation; group 1 is the indentation, group 2 the command.
+ */
+const PERCENT_COMMENTED_MAGIC = /^(\s*)# ((?:%|!)\S)/;
+
+/** Matches a code line that looks like a cell marker, possibly already escaped (`# # %%`) */
+const PERCENT_MARKER_LIKE = /^(?:# )*# %%(?=\s|$)/;
+
+/** Matches a code line escaped by jupytext so it is not read as a cell marker; group 1 is the original */
+const PERCENT_ESCAPED_MARKER = /^# ((?:# )*# %%(?=\s|$).*)$/;
+
+/** Archive formats opened in the browser, by lowercase file suffix */
+const ARCHIVE_FORMATS = { '.zip': 'zip', '.tar.gz': 'tar.gz', '.tgz': 'tar.gz', '.tar': 'tar' };
+
+/** How deep archives nested in archives are opened */
+const MAX_ARCHIVE_DEPTH = 3;
+
+/** Archive members larger than this (uncompressed, in bytes) are skipped */
+const MAX_ARCHIVE_ENTRY_SIZE = 256 * 1024 * 1024;
+
+/** Archives whose contents add up to more than this (uncompressed, in bytes) are not opened */
+const MAX_ARCHIVE_TOTAL_SIZE = 1024 * 1024 * 1024;
+
+/**
+ * Ignore rules applied to dropped folders unless edited in the UI (gitignore syntax);
+ * `.gitignore` files found while loading add to them for their folder
+ */
+const DEFAULT_IGNORE_PATTERNS = [
+  '.ipynb_checkpoints/', '__pycache__/', '.git/', 'node_modules/',
+  '.venv/', 'venv/', 'site-packages/', '.tox/'
+];
+
+/** Number of directory reads / file lookups run in parallel while scanning a dropped folder */
+const SCAN_CONCURRENCY = 8;
+
+/** Interval between re-scans of a live folder, in milliseconds */
+const LIVE_POLL_INTERVAL = 3000;
+
+/** Minimum interval between URL updates for the cell scrolled to, in milliseconds */
+const ROUTE_CELL_UPDATE_INTERVAL = 250;
+
+/** Minimum interval between progress overlay updates, in milliseconds */
+const PROGRESS_UPDATE_INTERVAL = 100;
+
+/**
+ * Gallery sort keys and table columns
+ * `value(file, entry)` reads the File and its search index entry (undefined until the
+ * file is indexed); null/undefined values always sort last. `index` marks values that
+ * need the index; `tableOnly` columns are sort keys of the table view only (they are not
+ * offered in the Sort menu of the card view).
+ */
+const GALLERY_COLUMNS = {
+  name: { label: 'Name', value: f => f.name.toLowerCase() },
+  path: { label: 'Path', value: f => f.fullPath.toLowerCase(), tableOnly: true },
+  size: { label: 'Size', value: f => f.size, format: formatBytes },
+  modified: { label: 'Modified', value: f => f.lastModified || null, format: v => new Date(v).toLocaleString() },
+  cells: { label: 'Cells', value: (f, e) => e && e.cells, index: true },
+  outputs: { label: 'Outputs', value: (f, e) => e && e.outputs, index: true, tableOnly: true },
+  errors: { label: 'Errors', value: (f, e) => e && e.errors, index: true, tableOnly: true },
+  execution: { label: 'Last execution', value: (f, e) => e && e.lastExecution, index: true },
+  kernel: { label: 'Kernel', value: (f, e) => (e && e.kernelLabel) || null, index: true, tableOnly: true },
+  warnings: { label: 'Warnings', value: (f, e) => e && e.warnings, index: true, tableOnly: true }
+};
+
+/** Selector of the file items (cards or table rows) in the gallery */
+const FILE_ITEM_SELECTOR = '.card:not(.folder), .file-row:not(.folder)';
+
+/**
+ * Reproducibility checks run on every notebook
+ * `badge` labels the gallery card badge, `title` describes the problem.
+ */
+const LINT_RULES = {
+  order: { badge: 'order', title: 'Cells were executed out of order' },
+  gap: { badge: 'gaps', title: 'Execution counts skip numbers (cells re-run, deleted or run elsewhere)' },
+  skipped: { badge: 'skipped', title: 'Code cells were never executed although later cells were' },
+  stale: { badge: 'stale', title: 'Cells have outputs but no execution count' },
+  path: { badge: 'paths', title: 'Code contains hard-coded absolute paths' }
+};
+
+/**
+ * Absolute paths that only exist on the author's machine (/Users/..., /home/..., C:\...)
+ * A path must follow a quote, whitespace or the line start, so URLs (https://host/home/...) and
+ * identifiers ending in `c:` do not match.
+ */
+const ABSOLUTE_PATH_PATTERN = /(?<=^|[\s'"`])(?:\/(?:Users|home)\/|[A-Za-z]:[\\/])[^\s'"`),;]*/gm;
+
+/** Notebooks larger than this (in bytes) are flagged as heavy in the stats dashboard */
+const HEAVY_NOTEBOOK_BYTES = 1024 * 1024;
+
+/** Number of notebooks listed as heaviest in the stats dashboard */
+const STATS_HEAVIEST_COUNT = 10;
+
+/** Output image types collected by the figure gallery, in order of preference */
+const FIGURE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+
+/** File extension used when downloading a figure */
+const FIGURE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/svg+xml': 'svg' };
+
+/** Maximum number of hits listed in the search results panel */
+const MAX_SEARCH_RESULTS = 100;
+
+/** Minimum query length before the global search runs */
+const MIN_SEARCH_LENGTH = 2;
+
+/** Characters of context shown on each side of a search hit */
+const SEARCH_SNIPPET_CONTEXT = 60;
+
+/** Minimum time in ms between refreshes of an active search while the index is being built */
+const SEARCH_INDEX_REFRESH_INTERVAL = 300;
+
+/**
+ * Filters understood by the search query language, with their allowed values
+ * (null = free text; `type:` is checked against the keys of FILE_TYPES)
+ */
+const QUERY_FIELDS = {
+  path: null,
+  type: null,
+  kernel: null,
+  cell: ['code', 'markdown', 'output'],
+  has: ['image', 'error', 'output']
+};
+
+/** Filters offered as one-click chips under the search bar */
+const QUERY_SUGGESTIONS = ['type:ipynb', 'has:error', 'has:image', 'has:output', 'cell:code', 'cell:markdown'];
+
+/** Highlight.js language used when a notebook declares no kernel or language */
+const DEFAULT_CODE_LANGUAGE = 'python';
+
+/**
+ * Kernel and language_info names mapped to highlight.js language names
+ * Names not listed here are used as-is when highlight.js knows them.
+ */
+const KERNEL_LANGUAGES = {
+  python: 'python', python2: 'python', python3: 'python', ipython: 'python',
+  ir: 'r', r: 'r',
+  julia: 'julia',
+  bash: 'bash', sh: 'bash', zsh: 'bash',
+  sql: 'sql', postgresql: 'sql', sqlite: 'sql',
+  javascript: 'javascript', node: 'javascript', nodejs: 'javascript', typescript: 'typescript',
+  'c++': 'cpp', cpp: 'cpp', xcpp: 'cpp', c: 'c', 'c#': 'csharp', csharp: 'csharp',
+  java: 'java', kotlin: 'kotlin', go: 'go', gophernotes: 'go', rust: 'rust',
+  ruby: 'ruby', perl: 'perl', php: 'php', lua: 'lua', swift: 'swift'
+};
+
+/**
+ * Cell magics that switch a code cell to another language
+ * `null` means the magic does not change the language (the cell body stays in the kernel language).
+ */
+const CELL_MAGIC_LANGUAGES = {
+  bash: 'bash', sh: 'bash', script: null, sql: 'sql', html: 'xml', svg: 'xml',
+  javascript: 'javascript', js: 'javascript', markdown: 'markdown', latex: 'plaintext',
+  R: 'r', ruby: 'ruby', perl: 'perl', julia: 'julia', python: 'python', python3: 'python',
+  capture: null, time: null, timeit: null, prun: null, writefile: null
+};
+
+/** Options passed to marked for markdown cells (CommonMark + GitHub Flavored Markdown) */
+const MARKDOWN_OPTIONS = { gfm: true, breaks: false };
+
+/**
+ * Allowlist for sanitized markdown output
+ * Anything not listed here (script, iframe, style, event handlers, ...) is dropped;
+ * configureSanitizer() narrows `input`, `src` and `class` further.
+ */
+const MARKDOWN_SANITIZE_CONFIG = {
+  ALLOWED_TAGS: [
+    'a', 'b', 'blockquote', 'br', 'code', 'del', 'details', 'div', 'em', 'h1', 'h2', 'h3',
+    'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'kbd', 'li', 'ol', 'p', 'pre', 's', 'span',
+    'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+  ],
+  ALLOWED_ATTR: [
+    'align', 'alt', 'checked', 'class', 'colspan', 'disabled', 'height', 'href',
+    'rowspan', 'src', 'start', 'title', 'type', 'width'
+  ],
+  ALLOW_DATA_ATTR: false,
+  // Plain values such as type="checkbox" would otherwise fail ALLOWED_URI_REGEXP
+  ADD_URI_SAFE_ATTR: ['align', 'colspan', 'height', 'rowspan', 'start', 'type', 'width'],
+  ALLOWED_URI_REGEXP: /^(?:https?:|mailto:|#|data:image\/|attachment:)/i
+};
+
+/**
+ * Classes that sanitized HTML may keep: code block languages and math placeholders.
+ * Other classes could pass for the app's own elements (cells, "show more" buttons, ...).
+ */
+const SANITIZED_CLASS_PATTERN = /^(?:language-[\w+#.-]+|math|math-display|math-inline)$/;
+
+/** KaTeX options shared by markdown math and text/latex outputs */
+const KATEX_OPTIONS = { throwOnError: false, strict: 'ignore', trust: false };
+
+/** Names of the 8 basic ANSI colors; bright variants use the same names with `-bright` */
+const ANSI_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+/**
+ * Sanitizer settings for text/html outputs (pandas tables, rich reprs, ...)
+ * Starts from DOMPurify's HTML allowlist and removes everything that could run code,
+ * restyle the page or load remote resources.
+ */
+const OUTPUT_HTML_SANITIZE_CONFIG = {
+  USE_PROFILES: { html: true },
+  FORBID_TAGS: [
+    'style', 'link', 'meta', 'base', 'form', 'input', 'button', 'select', 'textarea',
+    'iframe', 'frame', 'object', 'embed', 'video', 'audio', 'source', 'track', 'picture'
+  ],
+  FORBID_ATTR: ['style', 'id'],
+  ALLOW_DATA_ATTR: false,
+  ALLOWED_URI_REGEXP: /^(?:https?:|mailto:|#|data:image\/)/i
+};
+
+/**
+ * Keyboard shortcuts, the single source for the key handler and the `?` overlay
+ * `keys` are KeyboardEvent.key values (letters in lower case), `Ctrl+` standing for Ctrl or ⌘.
+ * `contexts` says where a shortcut applies; only `inTextFields` shortcuts work while typing.
+ */
+const KEYMAP = [
+  { contexts: ['gallery', 'viewer'], keys: ['Ctrl+k'], inTextFields: true, description: 'Command palette: jump to a file or folder, run a command', run: openCommandPalette },
+  { contexts: ['gallery', 'viewer'], keys: ['?'], description: 'Show keyboard shortcuts', run: toggleShortcutsHelp },
+  { contexts: ['gallery'], keys: ['j', 'ArrowRight'], description: 'Next card', run: () => moveGalleryFocus(1) },
+  { contexts: ['gallery'], keys: ['k', 'ArrowLeft'], description: 'Previous card', run: () => moveGalleryFocus(-1) },
+  { contexts: ['gallery'], keys: ['ArrowDown'], description: 'Card below', run: () => moveGalleryFocusRow(1) },
+  { contexts: ['gallery'], keys: ['ArrowUp'], description: 'Card above', run: () => moveGalleryFocusRow(-1) },
+  { contexts: ['gallery'], keys: ['Enter', ' '], description: 'Open the card or folder', run: openFocusedItem },
+  { contexts: ['gallery'], keys: ['Ctrl+Enter'], description: 'Select the file for comparison', run: toggleFocusedSelection },
+  { contexts: ['gallery'], keys: ['Backspace'], description: 'Up one folder', run: openParentFolder },
+  { contexts: ['gallery'], keys: ['/'], description: 'Search', run: () => searchInput.focus() },
+  { contexts: ['gallery'], keys: ['Escape'], inTextFields: true, description: 'Leave the search box', run: () => document.activeElement.blur() },
+  { contexts: ['viewer'], keys: ['ArrowLeft'], description: 'Previous file', run: navigatePrevious },
+  { contexts: ['viewer'], keys: ['ArrowRight'], description: 'Next file', run: navigateNext },
+  { contexts: ['viewer'], keys: [']', '['], description: 'Next / previous heading', run: e => jumpInViewer('heading', e.key === ']' ? 1 : -1) },
+  { contexts: ['viewer'], keys: ['j', 'k'], description: 'Next / previous code cell', run: e => jumpInViewer('code', e.key === 'j' ? 1 : -1) },
+  { contexts: ['viewer'], keys: ['Escape'], description: 'Close the viewer', run: closeModal }
+];
+
+/** Headings of the shortcut overlay, by the contexts of a KEYMAP entry */
+const KEYMAP_SECTIONS = { 'gallery,viewer': 'Everywhere', gallery: 'Gallery', viewer: 'Viewer' };
+
+/** How keys are written in the shortcut overlay */
+const KEY_LABELS = {
+  ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', ' ': 'Space',
+  'Ctrl+k': 'Ctrl/⌘ K', 'Ctrl+Enter': 'Ctrl/⌘ Enter'
+};
+
+/** Elements that can take the keyboard focus (for the focus trap of dialogs) */
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+
+/** Delay before a screen reader announcement, so that repeating the same text is read again */
+const ANNOUNCE_DELAY = 100;
 
-/** Supported file extensions */
-const FILE_EXTENSIONS = {
-  IPYNB: 'ipynb',
-  PY: 'py'
+/**
+ * App themes: the `data-theme` value set on <html> (see nbexplorer.css) with the vendored
+ * highlight.js stylesheet matching it
+ */
+const THEMES = {
+  light: { label: 'Light', highlight: 'css/highlight-11.9.0-github.min.css' },
+  dark: { label: 'Dark', highlight: 'css/highlight-11.9.0-github-dark.min.css' },
+  'high-contrast': { label: 'High contrast', highlight: 'css/highlight-11.9.0-a11y-dark.min.css' }
 };
 
-/** File type filters */
-const SUPPORTED_EXTENSIONS = ['.ipynb', '.py'];
+/** Maximum number of entries listed by the command palette */
+const PALETTE_MAX_RESULTS = 50;
 
 // ============================================================================
 // DOM Element References
@@ -79,18 +570,57 @@ const SUPPORTED_EXTENSIONS = ['.ipynb', '.py'];
 
 const dropzone = document.getElementById('dropzone');
 const folderInput = document.getElementById('folderInput');
+const archiveInput = document.getElementById('archiveInput');
+const archiveLink = document.getElementById('archiveLink');
+const ignoreInput = document.getElementById('ignoreInput');
+const loadProgress = document.getElementById('loadProgress');
+const loadProgressText = document.getElementById('loadProgressText');
+const loadCancelBtn = document.getElementById('loadCancelBtn');
+const liveFolderBtn = document.getElementById('liveFolderBtn');
+const liveStatus = document.getElementById('liveStatus');
 const gallery = document.getElementById('gallery');
 const searchbar = document.getElementById('searchbar');
 const searchInput = document.getElementById('searchInput');
+const searchResults = document.getElementById('searchResults');
+const queryChips = document.getElementById('queryChips');
+const queryError = document.getElementById('queryError');
 const breadcrumbs = document.getElementById('breadcrumbs');
 const modal = document.getElementById('viewerModal');
 const modalClose = document.getElementById('viewerClose');
+const exportButton = document.getElementById('viewerExport');
+const printButton = document.getElementById('viewerPrint');
+const convertButton = document.getElementById('viewerConvert');
 const viewerTitle = document.getElementById('viewerTitle');
+const viewerStats = document.getElementById('viewerStats');
+const viewerDiagnostics = document.getElementById('viewerDiagnostics');
+const statsBtn = document.getElementById('statsBtn');
+const figuresBtn = document.getElementById('figuresBtn');
+const lightbox = document.getElementById('lightbox');
+const lightboxImage = document.getElementById('lightboxImage');
+const lightboxCaption = document.getElementById('lightboxCaption');
 const viewerBody = document.getElementById('viewerBody');
-const showPyToggle = document.getElementById('showPyToggle');
+const viewerToc = document.getElementById('viewerToc');
+const typeFilters = document.getElementById('typeFilters');
+const galleryToolbar = document.getElementById('galleryToolbar');
+const sortSelect = document.getElementById('sortSelect');
+const sortDirectionBtn = document.getElementById('sortDirectionBtn');
+const groupSelect = document.getElementById('groupSelect');
+const viewSelect = document.getElementById('viewSelect');
+const sizeWarningInput = document.getElementById('sizeWarningInput');
 const clearBtn = document.getElementById('clearBtn');
+const themeSelect = document.getElementById('themeSelect');
+const highlightTheme = document.getElementById('highlightTheme');
 const prevButton = document.getElementById('viewerPrev');
 const nextButton = document.getElementById('viewerNext');
+const selectionBar = document.getElementById('selectionBar');
+const selectionCount = document.getElementById('selectionCount');
+const compareBtn = document.getElementById('compareBtn');
+const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+const palette = document.getElementById('palette');
+const paletteInput = document.getElementById('paletteInput');
+const paletteList = document.getElementById('paletteList');
+const shortcutsHelp = document.getElementById('shortcutsHelp');
+const announcer = document.getElementById('announcer');
 
 // ============================================================================
 // Utility Functions
@@ -112,6 +642,89 @@ function escapeHtml(s) {
   }[m]));
 }
 
+/**
+ * Join an nbformat "multiline string" (either a string or an array of lines)
+ * @param {string|string[]} value - Cell source, stream text or MIME payload
+ * @returns {string} The joined text ('' when missing)
+ */
+function multilineString(value) {
+  return (Array.isArray(value) ? value.join('') : value) || '';
+}
+
+/**
+ * Get the folder node for a slash-separated folder path
+ * @param {string} path - Folder path relative to the root ('' for the root)
+ * @returns {Object} The folder node (an empty node if the path does not exist)
+ */
+function getNodeAtPath(path) {
+  let node = folderStructure;
+  for (const part of path.split('/').filter(Boolean)) {
+    node = node[part];
+    if (!node) return {};
+  }
+  return node;
+}
+
+/**
+ * Read a file as text
+ * SECURITY: Reads the user-selected file locally with FileReader - never transmits data
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} The file contents
+ */
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "12.3 KB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Read a file as bytes
+ * SECURITY: Reads the user-selected file locally with FileReader - never transmits data
+ * @param {File} file - The file to read
+ * @returns {Promise<Uint8Array>} The file contents
+ */
+function readFileBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(new Uint8Array(e.target.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Collect every file in a folder subtree, depth-first
+ * @param {Object} node - A folder node of folderStructure
+ * @returns {File[]} Files in the subtree
+ */
+function collectFiles(node) {
+  const files = [...(node.files || [])];
+  for (const [name, child] of Object.entries(node)) {
+    if (name !== 'files') files.push(...collectFiles(child));
+  }
+  return files;
+}
+
 /**
  * Get the current node in the folder structure based on currentPath
  * @returns {Object} The current folder node
@@ -127,508 +740,6092 @@ function getCurrentNode() {
 // ============================================================================
 
 /**
- * Render a simple preview of markdown content
- * SECURITY: Only converts markdown to HTML - does not execute any JavaScript
+ * Render markdown to sanitized HTML using the bundled marked (CommonMark/GFM) parser
+ * SECURITY: The generated HTML - including any raw HTML embedded in the markdown -
+ * is filtered through DOMPurify with a strict allowlist before it reaches the DOM.
+ * Fenced code blocks keep their `language-*` class so highlightCodeInContainer()
+ * can highlight them once the HTML is inserted.
  * @param {string} text - The markdown text to render
- * @returns {string} HTML representation of the markdown
+ * @param {Object} [attachments] - Notebook cell attachments, used to resolve `attachment:` image sources
+ * @returns {string} Sanitized HTML representation of the markdown
  */
-function renderMarkdown(text) {
+function renderMarkdown(text, attachments) {
   if (!text) return '';
-  let html = text.replace(/^### (.*$)/gim, '<h3>$1</h3>')
-    .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-    .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')
-    .replace(/`([^`]+)`/g, '<code>$1</code>')
-    .replace(/\n\n/g, '</p><p>');
-  return '<p>' + html + '</p>';
+  if (!window.marked || !window.DOMPurify) {
+    // Libraries missing: fall back to escaped plain text rather than raw HTML
+    return `<div class="md-content"><p>${escapeHtml(text).replace(/\n\n/g, '</p><p>')}</p></div>`;
+  }
+  const html = marked.parse(text, MARKDOWN_OPTIONS);
+  const clean = DOMPurify.sanitize(html, MARKDOWN_SANITIZE_CONFIG);
+  return `<div class="md-content">${resolveAttachments(clean, attachments)}</div>`;
 }
 
 /**
- * Render a preview of notebook cells (first 3 cells)
- * @param {Object} nb - The notebook object parsed from JSON
- * @returns {string} HTML preview of the notebook
+ * Replace `attachment:name` image sources with data URIs from the cell attachments
+ * Runs after sanitization so only the allowlisted <img> tags are touched.
+ * @param {string} html - Sanitized HTML
+ * @param {Object} [attachments] - Cell attachments keyed by name, each a MIME bundle
+ * @returns {string} HTML with attachment images inlined
  */
-function renderNotebookPreview(nb) {
-  const cells = nb.cells || [];
-  let html = '';
-  let shown = 0;
-  for (const c of cells) {
-    if (shown >= NOTEBOOK_PREVIEW_CELLS) break;
-    if (c.cell_type === 'markdown') {
-      html += renderMarkdown(Array.isArray(c.source) ? c.source.join('') : c.source);
-      shown++;
-    } else if (c.cell_type === 'code') {
-      const src = (Array.isArray(c.source) ? c.source.join('') : c.source) || '';
-      html += `<pre><code class="language-python">${escapeHtml(src.trim())}</code></pre>`;
-      shown++;
+function resolveAttachments(html, attachments) {
+  if (!attachments) return html;
+  return html.replace(/src="attachment:([^"]+)"/g, (m, name) => {
+    let key = name;
+    try {
+      key = decodeURIComponent(name);
+    } catch (err) {
+      // Keep the raw name if it is not valid percent-encoding
+    }
+    const bundle = attachments[key];
+    if (!bundle) return 'src=""';
+    const mime = Object.keys(bundle).find(k => /^image\/(png|jpeg|gif|webp)$/.test(k));
+    return mime ? `src="data:${mime};base64,${escapeHtml(String(bundle[mime]).replace(/\s/g, ''))}"` : 'src=""';
+  });
+}
+
+/**
+ * marked extensions that lift TeX math out of markdown before the inline rules run,
+ * so `*` and `_` inside `$...$` are never turned into emphasis.
+ * Math is emitted as a placeholder element holding the escaped TeX source;
+ * renderMathInContainer() typesets it with KaTeX once it is in the DOM.
+ * Supported delimiters: `$$...$$`, `\[...\]`, `\begin{env}...\end{env}` (display)
+ * and `$...$`, `\(...\)` (inline).
+ */
+const MATH_EXTENSIONS = [
+  {
+    name: 'mathBlock',
+    level: 'block',
+    start(src) {
+      const m = src.match(/\$\$|\\\[|\\begin\{/);
+      return m ? m.index : undefined;
+    },
+    tokenizer(src) {
+      const m = src.match(/^ {0,3}(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|(\\begin\{([a-zA-Z]+\*?)\}[\s\S]+?\\end\{\4\}))[ \t]*(?:\n+|$)/);
+      if (m) {
+        return { type: 'mathBlock', raw: m[0], text: (m[1] || m[2] || m[3]).trim() };
+      }
+    },
+    renderer(token) {
+      return `<div class="math math-display">${escapeHtml(token.text)}</div>\n`;
+    }
+  },
+  {
+    name: 'mathInline',
+    level: 'inline',
+    start(src) {
+      const m = src.match(/\$|\\\(/);
+      return m ? m.index : undefined;
+    },
+    tokenizer(src) {
+      let m = src.match(/^\$\$([\s\S]+?)\$\$/);
+      if (m) return { type: 'mathInline', raw: m[0], text: m[1].trim(), display: true };
+      m = src.match(/^\\\(([\s\S]+?)\\\)/);
+      if (m) return { type: 'mathInline', raw: m[0], text: m[1].trim(), display: false };
+      // Pandoc rule: no space after the opening `$`, none before the closing one,
+      // and no digit right after it - keeps "$5 and $10" as plain text
+      m = src.match(/^\$((?:\\.|[^\\$\n])+?)\$(?!\d)/);
+      if (m && !/^\s|\s$/.test(m[1])) {
+        return { type: 'mathInline', raw: m[0], text: m[1], display: false };
+      }
+    },
+    renderer(token) {
+      const cls = token.display ? 'math math-display' : 'math math-inline';
+      return `<span class="${cls}">${escapeHtml(token.text)}</span>`;
     }
   }
-  return html;
+];
+
+/**
+ * Register the marked extensions used by renderMarkdown
+ */
+function configureMarkdown() {
+  if (!window.marked) return;
+  marked.use({ extensions: MATH_EXTENSIONS });
 }
 
 /**
- * Highlight code blocks in a specific container element
- * SECURITY: Uses highlight.js which sanitizes output - no code execution
- * @param {HTMLElement} container - The container element to highlight code within
+ * Typeset math placeholders in a specific container element with KaTeX
+ * SECURITY: KaTeX builds its own DOM from the TeX source; `trust` is off so
+ * commands such as \href or \htmlId cannot inject links or attributes.
+ * @param {HTMLElement} container - The container element to typeset math within
  */
-function highlightCodeInContainer(container) {
-  if (window.hljs) {
-    // Highlight all code blocks within the container
-    const codeBlocks = container.querySelectorAll('pre code');
-    codeBlocks.forEach(block => {
-      hljs.highlightElement(block);
+function renderMathInContainer(container) {
+  if (window.katex) {
+    container.querySelectorAll('.math:not(.math-rendered)').forEach(el => {
+      const displayMode = el.classList.contains('math-display');
+      katex.render(el.textContent, el, { ...KATEX_OPTIONS, displayMode });
+      el.classList.add('math-rendered');
     });
   }
 }
 
 /**
- * Render the full notebook for modal viewing
- * @param {Object} nb - The complete notebook object
- * @returns {string} HTML representation of the full notebook
+ * Turn a text/latex output into a math placeholder
+ * A payload that is a single `$$...$$`, `\[...\]`, `$...$` or bare `\begin{...}` block
+ * is typeset in display mode; mixed text such as "$a$ and $b$" goes through
+ * renderMarkdown() so each math span is picked up by MATH_EXTENSIONS.
+ * @param {string} latex - The text/latex payload
+ * @returns {string} HTML placeholder for renderMathInContainer()
  */
-function renderFullNotebook(nb) {
-  let html = '';
-  (nb.cells || []).forEach(c => {
-    html += `<div class="viewer-cell ${c.cell_type}">`;
+function renderLatexOutput(latex) {
+  const tex = latex.trim();
+  const m = tex.match(/^\$\$([\s\S]+)\$\$$/) || tex.match(/^\\\[([\s\S]+)\\\]$/) || tex.match(/^\$([^$]+)\$$/);
+  if (m && !m[1].includes('$')) {
+    return `<div class="math math-display out-latex">${escapeHtml(m[1].trim())}</div>`;
+  }
+  if (!tex.includes('$')) {
+    return `<div class="math math-display out-latex">${escapeHtml(tex)}</div>`;
+  }
+  return `<div class="out-latex">${renderMarkdown(tex)}</div>`;
+}
 
-    if (c.cell_type === 'markdown') {
-      html += renderMarkdown(Array.isArray(c.source) ? c.source.join('') : c.source);
+/**
+ * Register the DOMPurify hooks used by renderMarkdown and the text/html output renderer
+ * - `src` may only point at inline data (data: URIs or notebook attachments), on any
+ *   element, so rendering a notebook never triggers a network request.
+ * - The only form field is the disabled checkbox of a markdown task list.
+ * - Classes are limited to SANITIZED_CLASS_PATTERN.
+ * - Links open in a new tab without leaking the opener.
+ */
+function configureSanitizer() {
+  if (!window.DOMPurify) return;
+  DOMPurify.addHook('afterSanitizeAttributes', node => {
+    // Attributes that can load remote resources without a `src`
+    ['srcset', 'background', 'poster'].forEach(attr => node.removeAttribute(attr));
+    if (node.hasAttribute('src') && !/^(data:image\/|attachment:)/i.test(node.getAttribute('src'))) {
+      node.removeAttribute('src');
+    }
+    if (node.hasAttribute('class')) {
+      const classes = node.getAttribute('class').split(/\s+/).filter(cls => SANITIZED_CLASS_PATTERN.test(cls));
+      if (classes.length) node.setAttribute('class', classes.join(' '));
+      else node.removeAttribute('class');
+    }
+    if (node.tagName === 'INPUT') {
+      if ((node.getAttribute('type') || '').toLowerCase() === 'checkbox') {
+        node.setAttribute('disabled', '');
+      } else {
+        node.remove();
+      }
+    } else if (node.tagName === 'A' && node.hasAttribute('href')) {
+      if (!node.getAttribute('href').startsWith('#')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+    }
+  });
+}
+
+/**
+ * Determine the code language of a notebook from its kernel metadata
+ * Prefers metadata.language_info.name, then kernelspec.language, then the kernelspec name
+ * (e.g. "ir" or "julia-1.10").
+ * @param {Object} nb - The notebook object
+ * @returns {string} highlight.js language name
+ */
+function getNotebookLanguage(nb) {
+  const meta = nb.metadata || {};
+  const kernelspec = meta.kernelspec || {};
+  const candidates = [
+    meta.language_info && meta.language_info.name,
+    kernelspec.language,
+    kernelspec.name && kernelspec.name.replace(/[-_]?\d[\d.]*$/, '')
+  ];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const name = String(candidate).toLowerCase();
+    if (KERNEL_LANGUAGES[name]) return KERNEL_LANGUAGES[name];
+    if (window.hljs && hljs.getLanguage(name)) return name;
+  }
+  return DEFAULT_CODE_LANGUAGE;
+}
+
+/**
+ * Determine the language of a single code cell
+ * A leading cell magic (`%%bash`, `%%sql`, `%%script ruby`, `%%writefile x.sql`, ...) overrides
+ * the notebook language.
+ * @param {string} src - The cell source
+ * @param {string} notebookLanguage - Language of the notebook kernel
+ * @returns {string} highlight.js language name
+ */
+function getCellLanguage(src, notebookLanguage) {
+  const m = src.match(/^\s*%%(\w+)[ \t]*(\S*)/);
+  if (!m || !(m[1] in CELL_MAGIC_LANGUAGES)) return notebookLanguage;
+  const [, magic, arg] = m;
+  if (magic === 'script' && arg) {
+    const name = arg.split('/').pop().toLowerCase();
+    return KERNEL_LANGUAGES[name] || notebookLanguage;
+  }
+  if (magic === 'writefile' && arg) {
+    const type = getFileType(arg);
+    return (type && FILE_TYPES[type].language) || notebookLanguage;
+  }
+  return CELL_MAGIC_LANGUAGES[magic] || notebookLanguage;
+}
+
+/**
+ * Render a code block for highlightCodeInContainer()
+ * @param {string} code - The source code
+ * @param {string} language - highlight.js language name
+ * @returns {string} HTML <pre><code> block
+ */
+function renderCodeBlock(code, language) {
+  return `<pre><code class="language-${escapeHtml(language)}">${escapeHtml(code)}</code></pre>`;
+}
+
+/**
+ * Render a preview of notebook cells (first 3 cells)
+ * @param {Object} nb - The notebook object parsed from JSON
+ * @returns {string} HTML preview of the notebook
+ */
+function renderNotebookPreview(nb) {
+  const cells = nb.cells || [];
+  const language = getNotebookLanguage(nb);
+  let html = '';
+  let shown = 0;
+  for (const c of cells) {
+    if (shown >= NOTEBOOK_PREVIEW_CELLS) break;
+    if (c.cell_type === 'markdown') {
+      html += renderMarkdown(multilineString(c.source), c.attachments);
+      shown++;
     } else if (c.cell_type === 'code') {
-      const src = (Array.isArray(c.source) ? c.source.join('') : c.source) || '';
-      html += `<pre><code class="language-python">${escapeHtml(src)}</code></pre>`;
+      const src = multilineString(c.source);
+      html += renderCodeBlock(src.trim(), getCellLanguage(src, language));
+      shown++;
+    }
+  }
+  return html;
+}
+
+/**
+ * Highlight code blocks in a specific container element
+ * SECURITY: Uses highlight.js which sanitizes output - no code execution
+ * @param {HTMLElement} container - The container element to highlight code within
+ */
+function highlightCodeInContainer(container) {
+  if (window.hljs) {
+    // Highlight all code blocks within the container
+    const codeBlocks = container.querySelectorAll('pre code');
+    codeBlocks.forEach(block => {
+      hljs.highlightElement(block);
+    });
+  }
+}
+
+// ============================================================================
+// ANSI Escape Code Conversion
+// ============================================================================
+
+/**
+ * Convert text containing ANSI escape codes (as found in streams and tracebacks) to HTML
+ * Supports SGR colors (8/16 via classes, 256 and 24-bit via inline colors), bold,
+ * italic, underline and resets; every other escape sequence is dropped.
+ * SECURITY: Text segments are escaped with escapeHtml(); only generated spans are added.
+ * @param {string} text - Text with ANSI escape codes
+ * @returns {string} HTML with colored spans
+ */
+function ansiToHtml(text) {
+  const state = { fg: null, bg: null, bold: false, italic: false, underline: false };
+  let html = '';
+  let last = 0;
+  // SGR sequences are captured; other CSI and OSC sequences are only matched to be removed
+  const re = /\x1b\[([0-9;]*)m|\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    html += ansiSpan(text.slice(last, m.index), state);
+    last = re.lastIndex;
+    if (m[1] !== undefined) applySgrCodes(state, m[1]);
+  }
+  html += ansiSpan(text.slice(last), state);
+  return html;
+}
+
+/**
+ * Update the ANSI rendering state from the parameters of an SGR sequence
+ * @param {Object} state - Current {fg, bg, bold, italic, underline} state (mutated)
+ * @param {string} params - Semicolon separated SGR parameters (e.g. "1;31")
+ */
+function applySgrCodes(state, params) {
+  const codes = params === '' ? [0] : params.split(';').map(Number);
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    if (code === 0) {
+      Object.assign(state, { fg: null, bg: null, bold: false, italic: false, underline: false });
+    } else if (code === 1) state.bold = true;
+    else if (code === 3) state.italic = true;
+    else if (code === 4) state.underline = true;
+    else if (code === 22) state.bold = false;
+    else if (code === 23) state.italic = false;
+    else if (code === 24) state.underline = false;
+    else if (code >= 30 && code <= 37) state.fg = ANSI_COLORS[code - 30];
+    else if (code >= 90 && code <= 97) state.fg = ANSI_COLORS[code - 90] + '-bright';
+    else if (code === 39) state.fg = null;
+    else if (code >= 40 && code <= 47) state.bg = ANSI_COLORS[code - 40];
+    else if (code >= 100 && code <= 107) state.bg = ANSI_COLORS[code - 100] + '-bright';
+    else if (code === 49) state.bg = null;
+    else if (code === 38 || code === 48) {
+      // Extended colors: 5;n (256-color palette) or 2;r;g;b (true color)
+      let color = null;
+      if (codes[i + 1] === 5) {
+        color = ansi256ToRgb(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2) {
+        color = `rgb(${codes[i + 2] | 0},${codes[i + 3] | 0},${codes[i + 4] | 0})`;
+        i += 4;
+      }
+      if (code === 38) state.fg = color;
+      else state.bg = color;
+    }
+  }
+}
+
+/**
+ * Convert an xterm 256-color palette index to a CSS color
+ * Indexes 0-15 map back to the named classes so they follow the stylesheet.
+ * @param {number} n - Palette index
+ * @returns {string|null} Color name or rgb() value
+ */
+function ansi256ToRgb(n) {
+  if (!Number.isInteger(n) || n < 0 || n > 255) return null;
+  if (n < 8) return ANSI_COLORS[n];
+  if (n < 16) return ANSI_COLORS[n - 8] + '-bright';
+  if (n >= 232) {
+    const v = 8 + (n - 232) * 10;
+    return `rgb(${v},${v},${v})`;
+  }
+  const i = n - 16;
+  const level = x => (x ? 55 + x * 40 : 0);
+  return `rgb(${level(Math.floor(i / 36))},${level(Math.floor(i / 6) % 6)},${level(i % 6)})`;
+}
+
+/**
+ * Wrap a text segment in a span reflecting the current ANSI state
+ * @param {string} segment - Raw text segment
+ * @param {Object} state - Current ANSI state
+ * @returns {string} Escaped (and possibly wrapped) HTML
+ */
+function ansiSpan(segment, state) {
+  if (!segment) return '';
+  const classes = [];
+  const styles = [];
+  if (state.fg) {
+    if (state.fg.startsWith('rgb')) styles.push(`color:${state.fg}`);
+    else classes.push(`ansi-${state.fg}-fg`);
+  }
+  if (state.bg) {
+    if (state.bg.startsWith('rgb')) styles.push(`background-color:${state.bg}`);
+    else classes.push(`ansi-${state.bg}-bg`);
+  }
+  if (state.bold) classes.push('ansi-bold');
+  if (state.italic) classes.push('ansi-italic');
+  if (state.underline) classes.push('ansi-underline');
+  const text = escapeHtml(segment);
+  if (!classes.length && !styles.length) return text;
+  const cls = classes.length ? ` class="${classes.join(' ')}"` : '';
+  const style = styles.length ? ` style="${styles.join(';')}"` : '';
+  return `<span${cls}${style}>${text}</span>`;
+}
+
+// ============================================================================
+// Output (MIME bundle) Rendering
+// ============================================================================
+
+/**
+ * Output renderers, in display priority order (richest first)
+ * Follows Jupyter's order, except that application/javascript - which is never
+ * executed here - ranks below anything that can actually be displayed.
+ * Each renderer receives the payload for its MIME type, the output metadata for that
+ * type and the whole MIME bundle, and returns an HTML string. Use registerMimeRenderer() to add one.
+ * @type {{mime: string, render: function(*, Object, Object): string}[]}
+ */
+const MIME_RENDERERS = [
+  { mime: 'text/html', render: data => renderHtmlOutput(multilineString(data)) },
+  { mime: 'text/markdown', render: data => `<div class="out-markdown">${renderMarkdown(multilineString(data))}</div>` },
+  { mime: 'text/latex', render: data => renderLatexOutput(multilineString(data)) },
+  { mime: 'image/svg+xml', render: (data, meta, bundle) => renderSvgOutput(multilineString(data), meta, imageAltText(bundle)) },
+  { mime: 'image/png', render: (data, meta, bundle) => renderImageOutput('image/png', multilineString(data), meta, imageAltText(bundle)) },
+  { mime: 'image/jpeg', render: (data, meta, bundle) => renderImageOutput('image/jpeg', multilineString(data), meta, imageAltText(bundle)) },
+  { mime: 'image/gif', render: (data, meta, bundle) => renderImageOutput('image/gif', multilineString(data), meta, imageAltText(bundle)) },
+  { mime: 'application/json', render: data => renderJsonOutput(data) },
+  { mime: 'application/javascript', render: data => renderJavascriptOutput(multilineString(data)) },
+  { mime: 'text/plain', render: data => renderPlainOutput(multilineString(data)) }
+];
+
+/**
+ * Register a renderer for an output MIME type
+ * @param {string} mime - The MIME type handled by the renderer
+ * @param {function(*, Object, Object): string} render - Returns HTML for a payload of that type
+ * @param {number} [rank] - Position in the priority list (0 = preferred over everything); defaults to last
+ */
+function registerMimeRenderer(mime, render, rank = MIME_RENDERERS.length) {
+  const existing = MIME_RENDERERS.findIndex(r => r.mime === mime);
+  if (existing !== -1) MIME_RENDERERS.splice(existing, 1);
+  MIME_RENDERERS.splice(rank, 0, { mime, render });
+}
+
+/**
+ * Render a single code cell output
+ * @param {Object} o - An nbformat output (stream, display_data, execute_result, ...)
+ * @returns {string} HTML for the output
+ */
+function renderOutput(o) {
+  if (o.output_type === 'stream') {
+    const cls = o.name === 'stderr' ? 'out stderr' : 'out';
+    return `<pre class="${cls}">${ansiToHtml(multilineString(o.text))}</pre>`;
+  }
+  if (o.output_type === 'error') {
+    return renderErrorOutput(o);
+  }
+  if (o.data) {
+    const renderer = MIME_RENDERERS.find(r => o.data[r.mime] !== undefined);
+    if (renderer) {
+      const meta = (o.metadata && o.metadata[renderer.mime]) || {};
+      return renderer.render(o.data[renderer.mime], meta, o.data);
+    }
+    return renderUnsupportedOutput(Object.keys(o.data).join(', ') || o.output_type);
+  }
+  return renderUnsupportedOutput(o.output_type || 'unknown');
+}
+
+/**
+ * Render an output, collapsed when it is too large to show in full
+ * Long text (streams and plain-text results) keeps its first OUTPUT_COLLAPSE_LINES lines;
+ * other outputs over OUTPUT_COLLAPSE_CHARS are replaced by a placeholder. Images and
+ * errors are always shown. The "show more" button re-renders it (see expandViewerOutput).
+ * @param {Object} o - An nbformat output
+ * @param {number} index - Index of the output in its cell
+ * @returns {string} HTML for the output
+ */
+function renderCollapsibleOutput(o, index) {
+  const renderer = o.data ? MIME_RENDERERS.find(r => o.data[r.mime] !== undefined) : null;
+  if (o.output_type === 'stream' || (renderer && renderer.mime === 'text/plain')) {
+    const text = multilineString(o.output_type === 'stream' ? o.text : o.data['text/plain']);
+    const cut = truncateOutputText(text);
+    if (!cut) return renderOutput(o);
+    const partial = o.output_type === 'stream' ? { ...o, text: cut.text } : { ...o, data: { 'text/plain': cut.text } };
+    return renderCollapsedOutput(renderOutput(partial), index, cut.label);
+  }
+  if (!renderer || renderer.mime.startsWith('image/')) return renderOutput(o);
+  const data = o.data[renderer.mime];
+  const size = typeof data === 'string' || Array.isArray(data) ? multilineString(data).length : JSON.stringify(data).length;
+  if (size <= OUTPUT_COLLAPSE_CHARS) return renderOutput(o);
+  const placeholder = `<div class="out-unsupported">large ${escapeHtml(renderer.mime)} output (${formatBytes(size)})</div>`;
+  return renderCollapsedOutput(placeholder, index, 'Show output');
+}
+
+/**
+ * Cut a text output to OUTPUT_COLLAPSE_LINES lines and OUTPUT_COLLAPSE_CHARS characters
+ * @param {string} text - Output text
+ * @returns {{text: string, label: string}|null} Shown text and button label, or null if it fits
+ */
+function truncateOutputText(text) {
+  const lines = text.replace(/\n$/, '').split('\n');
+  let shown = lines.slice(0, OUTPUT_COLLAPSE_LINES).join('\n');
+  if (shown.length > OUTPUT_COLLAPSE_CHARS) shown = shown.slice(0, OUTPUT_COLLAPSE_CHARS);
+  if (lines.length <= OUTPUT_COLLAPSE_LINES && shown.length === lines.join('\n').length) return null;
+  const hidden = lines.length - shown.split('\n').length;
+  const label = hidden > 0 ? `Show ${hidden} more lines` : `Show ${formatBytes(text.length - shown.length)} more`;
+  return { text: shown, label };
+}
+
+/**
+ * Wrap a shortened output with its "show more" button
+ * @param {string} html - HTML of the shortened output
+ * @param {number} index - Index of the output in its cell
+ * @param {string} label - Button label
+ * @returns {string} HTML for the collapsed output
+ */
+function renderCollapsedOutput(html, index, label) {
+  return `<div class="out-collapsed" data-output-index="${index}">${html}<button class="show-more" type="button">${escapeHtml(label)}</button></div>`;
+}
+
+/**
+ * Render an error output (exception raised while the cell ran)
+ * @param {Object} o - Output with ename, evalue and traceback
+ * @returns {string} HTML for the traceback block
+ */
+function renderErrorOutput(o) {
+  const title = `${escapeHtml(o.ename || 'Error')}: ${escapeHtml(o.evalue || '')}`;
+  const traceback = (o.traceback || []).join('\n');
+  const body = traceback ? `<pre class="out traceback">${ansiToHtml(traceback)}</pre>` : '';
+  return `<div class="out-error"><div class="out-error-title">${title}</div>${body}</div>`;
+}
+
+/**
+ * Check whether any code cell of a notebook has an error output
+ * @param {Object} nb - The notebook object
+ * @returns {boolean} True if the notebook failed somewhere when it was last run
+ */
+function notebookHasError(nb) {
+  return (nb.cells || []).some(c => (c.outputs || []).some(o => o.output_type === 'error'));
+}
+
+/**
+ * Placeholder for outputs no renderer can display
+ * @param {string} type - The MIME or output type(s) that were skipped
+ * @returns {string} HTML placeholder
+ */
+function renderUnsupportedOutput(type) {
+  return `<div class="out-unsupported">unsupported output (${escapeHtml(type)})</div>`;
+}
+
+/**
+ * Render a text/plain output
+ * Matplotlib figure reprs are skipped - the figure itself is shown by its image output.
+ * @param {string} text - The plain text payload
+ * @returns {string} HTML for the output
+ */
+function renderPlainOutput(text) {
+  if (text.includes('<Figure size') || text.includes('Figure(')) return '';
+  return `<pre class="out">${ansiToHtml(text)}</pre>`;
+}
+
+/**
+ * Render a text/html output
+ * SECURITY: Sanitized with OUTPUT_HTML_SANITIZE_CONFIG - scripts, event handlers,
+ * styles and remote resources are stripped, so nothing in the output can execute.
+ * @param {string} html - The HTML payload
+ * @returns {string} Sanitized HTML
+ */
+function renderHtmlOutput(html) {
+  if (!window.DOMPurify) return `<pre class="out">${escapeHtml(html)}</pre>`;
+  return `<div class="out-html">${DOMPurify.sanitize(html, OUTPUT_HTML_SANITIZE_CONFIG)}</div>`;
+}
+
+/**
+ * Build the size attributes for an image output from its metadata
+ * @param {Object} meta - Output metadata for the image type ({width, height})
+ * @returns {string} Attribute string (may be empty)
+ */
+function imageSizeAttributes(meta) {
+  let attrs = '';
+  if (Number.isFinite(meta.width)) attrs += ` width="${meta.width}"`;
+  if (Number.isFinite(meta.height)) attrs += ` height="${meta.height}"`;
+  return attrs;
+}
+
+/**
+ * Alternative text of an output image: the text/plain representation sent along with it
+ * (e.g. `<Figure size 640x480 with 1 Axes>`), if there is a short one
+ * @param {Object} bundle - The output MIME bundle
+ * @returns {string} Alt text
+ */
+function imageAltText(bundle) {
+  const text = bundle && bundle['text/plain'] !== undefined ? multilineString(bundle['text/plain']).trim() : '';
+  return text && text.length <= 200 ? `Output image: ${text}` : 'Output image';
+}
+
+/**
+ * Render a base64 encoded raster image output
+ * @param {string} mime - The image MIME type
+ * @param {string} data - Base64 payload
+ * @param {Object} meta - Output metadata for the image type
+ * @param {string} [alt] - Alternative text
+ * @returns {string} HTML <img> tag
+ */
+function renderImageOutput(mime, data, meta, alt = 'Output image') {
+  return `<img class="out-image" src="${escapeHtml(imageDataUri(mime, data))}" alt="${escapeHtml(alt)}"${imageSizeAttributes(meta)} style="max-width:100%;">`;
+}
+
+/**
+ * Build the data: URI of an output image
+ * SVG is stored as text by nbformat (some tools write base64); other images as base64.
+ * @param {string} mime - Image MIME type
+ * @param {string} data - Image payload
+ * @returns {string} data: URI
+ */
+function imageDataUri(mime, data) {
+  const text = data.trim();
+  if (mime === 'image/svg+xml' && text.startsWith('<')) {
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+  }
+  return `data:${mime};base64,${text.replace(/\s/g, '')}`;
+}
+
+/**
+ * Render an image/svg+xml output
+ * nbformat stores SVG as plain text; it is shown through an <img> data URI so any
+ * script inside the SVG never runs. Base64 payloads written by some tools are accepted too.
+ * @param {string} svg - SVG markup (or base64 SVG)
+ * @param {Object} meta - Output metadata for the image type
+ * @param {string} [alt] - Alternative text
+ * @returns {string} HTML <img> tag
+ */
+function renderSvgOutput(svg, meta, alt = 'Output image') {
+  return `<img class="out-image" src="${escapeHtml(imageDataUri('image/svg+xml', svg))}" alt="${escapeHtml(alt)}"${imageSizeAttributes(meta)} style="max-width:100%;">`;
+}
+
+/**
+ * Render an application/json output as a collapsible tree
+ * @param {*} data - Parsed JSON (nbformat stores it as an object, older files as a string)
+ * @returns {string} HTML tree
+ */
+function renderJsonOutput(data) {
+  let value = data;
+  if (typeof data === 'string') {
+    try {
+      value = JSON.parse(data);
+    } catch (err) {
+      return `<pre class="out">${escapeHtml(data)}</pre>`;
+    }
+  }
+  return `<div class="json-tree">${renderJsonNode(value, null, 0)}</div>`;
+}
+
+/**
+ * Render one node of a JSON tree
+ * Objects and arrays become <details> elements; the first two levels start expanded.
+ * @param {*} value - The JSON value
+ * @param {string|null} key - Property name or array index (null for the root)
+ * @param {number} depth - Nesting depth
+ * @returns {string} HTML for the node
+ */
+function renderJsonNode(value, key, depth) {
+  const label = key === null ? '' : `<span class="json-key">${escapeHtml(String(key))}</span>: `;
+  if (value !== null && typeof value === 'object') {
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value);
+    const summary = isArray ? `Array(${entries.length})` : `{${entries.length}}`;
+    if (!entries.length) {
+      return `<div class="json-leaf">${label}<span class="json-punct">${isArray ? '[]' : '{}'}</span></div>`;
+    }
+    const children = entries.map(([k, v]) => renderJsonNode(v, k, depth + 1)).join('');
+    return `<details${depth < 2 ? ' open' : ''}><summary>${label}<span class="json-punct">${summary}</span></summary>${children}</details>`;
+  }
+  const type = value === null ? 'null' : typeof value;
+  const text = type === 'string' ? JSON.stringify(value) : String(value);
+  return `<div class="json-leaf">${label}<span class="json-${type}">${escapeHtml(text)}</span></div>`;
+}
+
+/**
+ * Render an application/javascript output
+ * SECURITY: The script is shown as highlighted source and never executed.
+ * @param {string} js - The JavaScript payload
+ * @returns {string} HTML for the output
+ */
+function renderJavascriptOutput(js) {
+  return `<details class="out-javascript"><summary>JavaScript output (not executed)</summary><pre><code class="language-javascript">${escapeHtml(js)}</code></pre></details>`;
+}
+
+/**
+ * Render the full notebook at once
+ * The viewer renders notebooks cell by cell instead (see renderNotebookInViewer).
+ * @param {Object} nb - The complete notebook object
+ * @returns {string} HTML representation of the full notebook
+ */
+function renderFullNotebook(nb) {
+  const language = getNotebookLanguage(nb);
+  const lint = groupLintByCell(nb);
+  return (nb.cells || []).map((c, i) => renderNotebookCell(c, i, renderCellBody(c, language, lint.get(i)))).join('');
+}
+
+/**
+ * Wrap the body of a notebook cell with its gutter
+ * @param {Object} c - The notebook cell
+ * @param {number} i - Index of the cell
+ * @param {string} body - HTML of the cell body ('' for a placeholder)
+ * @param {string} [classes] - Extra classes of the cell element
+ * @param {number} [minHeight] - Reserved height (em) of a placeholder
+ * @returns {string} HTML for the cell
+ */
+function renderNotebookCell(c, i, body, classes = '', minHeight = 0) {
+  const style = minHeight ? ` style="min-height:${minHeight}em"` : '';
+  return `<div class="viewer-cell ${c.cell_type} ${classes}" data-cell-index="${i}"${style}>` +
+    `${renderCellGutter(c, i)}<div class="cell-body">${body}</div></div>`;
+}
+
+/**
+ * Render the body of a notebook cell: lint warnings, then markdown or code with its outputs
+ * @param {Object} c - The notebook cell
+ * @param {string} language - Language of the notebook
+ * @param {Object[]} [issues] - lintNotebook() issues of the cell
+ * @returns {string} HTML for the cell body
+ */
+function renderCellBody(c, language, issues = []) {
+  let html = '';
+  issues.forEach(issue => {
+    html += `<div class="lint-warning" title="${escapeHtml(LINT_RULES[issue.rule].title)}">⚠ ${escapeHtml(issue.message)}</div>`;
+  });
+
+  if (c.cell_type === 'markdown') {
+    html += renderMarkdown(multilineString(c.source), c.attachments);
+  } else if (c.cell_type === 'code') {
+    const src = multilineString(c.source);
+    html += renderCodeBlock(src, getCellLanguage(src, language));
+
+    // Render outputs
+    (c.outputs || []).forEach((o, j) => {
+      if (debugMode) {
+        console.log('Output:', o);
+      }
+      html += renderCollapsibleOutput(o, j);
+    });
+  }
+  return html;
+}
+
+/**
+ * Render the gutter of a viewer cell: the cell number, plus the execution count for code cells
+ * @param {Object} c - The notebook cell
+ * @param {number} i - Index of the cell
+ * @returns {string} HTML for the gutter
+ */
+function renderCellGutter(c, i) {
+  let html = `<div class="cell-gutter"><span class="cell-number">#${i + 1}</span>`;
+  if (c.cell_type === 'code') {
+    const count = Number.isInteger(c.execution_count) ? c.execution_count : ' ';
+    html += `<span class="exec-count">[${count}]</span>`;
+  }
+  return html + '</div>';
+}
+
+// ============================================================================
+// File Type Registry
+// ============================================================================
+
+/**
+ * Supported file types, keyed by type id (also used as the card CSS class)
+ * Each entry has a label for the filter toggles, its extensions (lowercase, with dot),
+ * an optional highlight.js language, and two renderers returning HTML:
+ * - preview(raw, card, data): content of the gallery card (may decorate the card, e.g.
+ *   badges); `data` is the preview data made by the parse worker for notebooks, if any
+ * - full(raw): content of the viewer for files that are not notebooks; may throw on
+ *   unparseable input
+ * - notebook(raw) (optional): the file as an nbformat notebook, or null when it is not
+ *   one; used by the viewer, search, diff and format conversion. May throw on unparseable input.
+ * Code highlighting and math typesetting run on the inserted HTML afterwards.
+ * Add an entry here to support a new file type.
+ */
+const FILE_TYPES = {
+  ipynb: {
+    label: 'Notebooks',
+    extensions: ['.ipynb'],
+    preview: previewNotebookFile,
+    full: raw => renderFullNotebook(parseNotebookJson(raw)),
+    notebook: parseNotebookJson
+  },
+  py: percentFileType('Python', ['.py'], 'python'),
+  r: percentFileType('R', ['.r'], 'r'),
+  jl: percentFileType('Julia', ['.jl'], 'julia'),
+  sql: codeFileType('SQL', ['.sql'], 'sql'),
+  md: {
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    language: 'markdown',
+    preview: raw => renderMarkdown(raw.split('\n').slice(0, MARKDOWN_PREVIEW_LINES).join('\n')),
+    full: raw => renderMarkdown(raw)
+  },
+  json: {
+    ...codeFileType('JSON', ['.json'], 'json'),
+    full: raw => renderJsonOutput(raw)
+  },
+  yaml: codeFileType('YAML', ['.yaml', '.yml'], 'yaml'),
+  csv: {
+    label: 'CSV',
+    extensions: ['.csv'],
+    preview: raw => renderCsvTable(raw, CSV_PREVIEW_ROWS),
+    full: raw => renderCsvTable(raw, CSV_MAX_ROWS)
+  }
+};
+
+/**
+ * Build a FILE_TYPES entry for a plain source file shown as highlighted code
+ * @param {string} label - Label for the filter toggle
+ * @param {string[]} extensions - Lowercase extensions, with dot
+ * @param {string} language - highlight.js language name
+ * @returns {Object} File type entry
+ */
+function codeFileType(label, extensions, language) {
+  return {
+    label,
+    extensions,
+    language,
+    preview: raw => renderCodeBlock(raw.split('\n').slice(0, CODE_PREVIEW_LINES).join('\n'), language),
+    full: raw => renderCodeBlock(raw, language)
+  };
+}
+
+/**
+ * Build a FILE_TYPES entry for a script that may be a jupytext percent script
+ * Scripts with `# %%` cell markers are shown cell by cell like a notebook, other
+ * scripts as highlighted code.
+ * @param {string} label - Label for the filter toggle
+ * @param {string[]} extensions - Lowercase extensions, with dot
+ * @param {string} language - highlight.js language name
+ * @returns {Object} File type entry
+ */
+function percentFileType(label, extensions, language) {
+  const code = codeFileType(label, extensions, language);
+  const notebook = raw => (isPercentScript(raw) ? percentToNotebook(raw, language) : null);
+  return {
+    ...code,
+    notebook,
+    preview: (raw, card) => {
+      const nb = notebook(raw);
+      if (!nb) return code.preview(raw, card);
+      addCardBadge(card, '%%', 'percent', 'Jupytext percent script, shown as a notebook');
+      addLintBadges(card, lintNotebook(nb));
+      return renderNotebookPreview(nb);
+    },
+    full: raw => {
+      const nb = notebook(raw);
+      return nb ? renderFullNotebook(nb) : code.full(raw);
+    }
+  };
+}
+
+/**
+ * Get the file type id for a filename (case-insensitive on the extension)
+ * @param {string} filename - The file name
+ * @returns {string|null} Key of FILE_TYPES, or null when unsupported
+ */
+function getFileType(filename) {
+  const lower = filename.toLowerCase();
+  for (const [type, def] of Object.entries(FILE_TYPES)) {
+    if (def.extensions.some(ext => lower.endsWith(ext))) return type;
+  }
+  return null;
+}
+
+/**
+ * Gallery preview for a notebook file
+ * @param {string} raw - The notebook JSON
+ * @param {HTMLElement} card - The card being filled
+ * @param {Object} [data] - extractNotebookPreview() result from the parse worker
+ * @returns {string} HTML preview
+ */
+function previewNotebookFile(raw, card, data = extractNotebookPreview(loadNotebookJson(raw), NOTEBOOK_PREVIEW_CELLS)) {
+  let html = '';
+  if (data.jsonError) {
+    const { line, column, message } = data.jsonError;
+    addCardBadge(card, 'invalid JSON', 'invalid', message);
+    html += `<p class="card-diagnostics">Invalid JSON${line === null ? '' : ` at line ${line}, column ${column}`}</p>`;
+  } else if (data.problems.length) {
+    const list = data.problems.slice(0, 5).map(p => `${p.where}: ${p.message}`).join('\n');
+    const count = data.problems.length;
+    addCardBadge(card, `⚠ ${count} ${count === 1 ? 'problem' : 'problems'}`, 'invalid', list);
+  }
+  if (data.hasError) {
+    addCardBadge(card, 'error', 'error', 'This notebook contains an error output');
+  }
+  addLintBadges(card, data.lint);
+  return html + renderNotebookPreview(data.nb);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - The CSV text
+ * @param {number} [maxRows] - Stop after this many rows
+ * @returns {{rows: string[][], truncated: boolean}} Parsed rows
+ */
+function parseCsv(text, maxRows = Infinity) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (rows.length >= maxRows) {
+        return { rows, truncated: i < text.length - 1 };
+      }
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return { rows, truncated: false };
+}
+
+/**
+ * Render CSV text as an HTML table (first row as header)
+ * @param {string} text - The CSV text
+ * @param {number} maxRows - Maximum number of rows to render
+ * @returns {string} HTML table
+ */
+function renderCsvTable(text, maxRows) {
+  const { rows, truncated } = parseCsv(text, maxRows);
+  if (!rows.length) return '';
+  const [head, ...body] = rows;
+  const cells = (row, tag) => row.map(v => `<${tag}>${escapeHtml(v)}</${tag}>`).join('');
+  let html = '<div class="csv-table"><table>';
+  html += `<thead><tr>${cells(head, 'th')}</tr></thead><tbody>`;
+  body.forEach(row => {
+    html += `<tr>${cells(row, 'td')}</tr>`;
+  });
+  html += '</tbody></table></div>';
+  if (truncated) {
+    html += `<div class="csv-truncated">Showing the first ${rows.length} rows</div>`;
+  }
+  return html;
+}
+
+// ============================================================================
+// Notebook Loading and Validation
+// ============================================================================
+
+/**
+ * Parse an .ipynb file for rendering, recording its problems in notebookDiagnostics
+ * @param {string} raw - The file contents
+ * @returns {Object} nbformat 4 notebook with the cells that could be read
+ */
+function parseNotebookJson(raw) {
+  const { nb, problems, jsonError } = loadNotebookJson(raw);
+  if (problems.length || jsonError) notebookDiagnostics.set(nb, { problems, jsonError });
+  return nb;
+}
+
+/**
+ * Load notebook JSON as a renderable nbformat 4 notebook, never throwing
+ * nbformat 2/3 files are upgraded; invalid parts are reported and left out; from a file
+ * that is not valid JSON, the cells before (and after) the damage are salvaged.
+ * Runs inside workers too (see NOTEBOOK_LOADER_WORKER_PARTS), so it may only use the
+ * functions and constants listed there.
+ * @param {string} raw - The file contents
+ * @returns {{nb: Object, problems: {where: string, message: string}[],
+ *   jsonError: {message: string, position: number|null, line: number|null, column: number|null}|null}}
+ *   Notebook, schema problems, and the JSON syntax error if any
+ */
+function loadNotebookJson(raw) {
+  let parsed;
+  let jsonError = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    jsonError = jsonErrorLocation(err, raw);
+    const cells = salvageCells(raw);
+    const version = raw.match(/"nbformat"\s*:\s*(\d+)/);
+    parsed = /"worksheets"\s*:/.test(raw)
+      ? { nbformat: 3, worksheets: [{ cells }] }
+      : { nbformat: version ? Number(version[1]) : 4, cells };
+  }
+  const { nb, problems } = checkNotebook(upgradeNotebook(parsed));
+  return { nb, problems, jsonError };
+}
+
+/**
+ * Locate a JSON.parse error in the text
+ * Browsers report a character position, a line and column, or (V8 for unexpected tokens)
+ * nothing; then the text is scanned for the error (findJsonErrorOffset).
+ * @param {Error} err - The SyntaxError
+ * @param {string} raw - The text that failed to parse
+ * @returns {{message: string, position: number|null, line: number|null, column: number|null}}
+ *   Error location (1-based line/column), null where it is unknown
+ */
+function jsonErrorLocation(err, raw) {
+  let position;
+  const lineColumn = err.message.match(/line (\d+) column (\d+)/);
+  const offset = err.message.match(/position (\d+)/);
+  if (offset) {
+    position = Number(offset[1]);
+  } else if (lineColumn) {
+    const lines = raw.split('\n').slice(0, Number(lineColumn[1]) - 1);
+    position = lines.reduce((sum, line) => sum + line.length + 1, 0) + Number(lineColumn[2]) - 1;
+  } else {
+    position = findJsonErrorOffset(raw);
+    if (position === null) return { message: err.message, position: null, line: null, column: null };
+  }
+  position = Math.min(position, raw.length);
+  const before = raw.slice(0, position);
+  const line = before.split('\n').length;
+  const column = position - before.lastIndexOf('\n');
+  return { message: err.message, position, line, column };
+}
+
+/**
+ * Find where a text stops being valid JSON, by checking its syntax
+ * @param {string} raw - Text that JSON.parse() rejected
+ * @returns {number|null} Offset of the first invalid character (the text length when it
+ *   ends too early), null if none was found or the nesting is too deep to check
+ */
+function findJsonErrorOffset(raw) {
+  let i = 0;
+  const fail = () => {
+    throw { offset: i };
+  };
+  const skipSpace = () => {
+    while (i < raw.length && ' \t\n\r'.includes(raw[i])) i++;
+  };
+  const expect = ch => {
+    if (raw[i] !== ch) fail();
+    i++;
+  };
+  const string = () => {
+    expect('"');
+    while (raw[i] !== '"') {
+      if (i >= raw.length || raw.charCodeAt(i) < 0x20) fail();
+      if (raw[i] === '\\') {
+        i++;
+        if (raw[i] === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(raw.slice(i + 1, i + 5))) fail();
+          i += 4;
+        } else if (i >= raw.length || !'"\\/bfnrt'.includes(raw[i])) {
+          fail();
+        }
+      }
+      i++;
+    }
+    i++;
+  };
+  const value = () => {
+    skipSpace();
+    const ch = raw[i];
+    if (ch === '{' || ch === '[') {
+      const close = ch === '{' ? '}' : ']';
+      i++;
+      skipSpace();
+      if (raw[i] === close) {
+        i++;
+        return;
+      }
+      for (;;) {
+        if (ch === '{') {
+          skipSpace();
+          string();
+          skipSpace();
+          expect(':');
+        }
+        value();
+        skipSpace();
+        if (raw[i] === close) {
+          i++;
+          return;
+        }
+        expect(',');
+      }
+    }
+    if (ch === '"') {
+      string();
+      return;
+    }
+    const literal = { t: 'true', f: 'false', n: 'null' }[ch];
+    if (literal) {
+      for (const letter of literal) expect(letter);
+      return;
+    }
+    const number = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+    number.lastIndex = i;
+    if (!number.test(raw)) fail();
+    i = number.lastIndex;
+  };
+  try {
+    value();
+    skipSpace();
+    return i < raw.length ? i : null;
+  } catch (err) {
+    return err && typeof err.offset === 'number' ? err.offset : null;
+  }
+}
+
+/**
+ * Pull the cells that are still valid JSON out of a damaged notebook
+ * Walks the `"cells"` list object by object (respecting strings) and keeps every cell
+ * that parses on its own; stops where the list structure itself is broken.
+ * @param {string} raw - The notebook text
+ * @returns {Object[]} Salvaged cells
+ */
+function salvageCells(raw) {
+  const match = raw.match(/"cells"\s*:\s*\[/);
+  if (!match) return [];
+  const cells = [];
+  let depth = 0;
+  let begin = -1;
+  let inString = false;
+  for (let i = match.index + match[0].length; i < raw.length; i++) {
+    const ch = raw[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      if (depth === 0) begin = i;
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth < 0) break;
+      if (depth === 0) {
+        try {
+          cells.push(JSON.parse(raw.slice(begin, i + 1)));
+        } catch (err) {
+          // A damaged cell is skipped; the following ones may still be fine
+        }
+      }
+    } else if (ch === ']' && depth === 0) {
+      break;
+    }
+  }
+  return cells;
+}
+
+/**
+ * Upgrade an nbformat 2/3 notebook (worksheets, `input`, `prompt_number`, heading cells,
+ * pyout/pyerr outputs) to nbformat 4; other values are returned unchanged
+ * As in nbformat's own upgrade, the original version is kept in metadata.orig_nbformat.
+ * @param {*} nb - Parsed notebook JSON
+ * @returns {*} nbformat 4 notebook
+ */
+function upgradeNotebook(nb) {
+  if (!nb || typeof nb !== 'object' || !Array.isArray(nb.worksheets) || nb.nbformat >= 4) return nb;
+  const metadata = { ...(nb.metadata && typeof nb.metadata === 'object' ? nb.metadata : {}), orig_nbformat: nb.nbformat || 3 };
+  delete metadata.name;
+  const cells = [];
+  nb.worksheets.forEach(worksheet => {
+    ((worksheet && worksheet.cells) || []).forEach(c => {
+      if (!c || typeof c !== 'object') {
+        cells.push(c); // Reported by checkNotebook()
+        return;
+      }
+      const cell = { cell_type: c.cell_type, metadata: c.metadata || {}, source: c.source !== undefined ? c.source : '' };
+      if (c.cell_type === 'code') {
+        if (c.language && !metadata.language_info) metadata.language_info = { name: c.language };
+        cell.source = c.input !== undefined ? c.input : cell.source;
+        cell.execution_count = Number.isInteger(c.prompt_number) ? c.prompt_number : null;
+        cell.outputs = Array.isArray(c.outputs) ? c.outputs.map(upgradeOutput) : [];
+      } else if (c.cell_type === 'heading') {
+        const text = Array.isArray(cell.source) ? cell.source.join('') : String(cell.source);
+        cell.cell_type = 'markdown';
+        cell.source = `${'#'.repeat(c.level || 1)} ${text}`;
+      } else if (c.cell_type === 'html') {
+        cell.cell_type = 'markdown';
+      } else if (c.cell_type === 'plaintext') {
+        cell.cell_type = 'raw';
+      }
+      cells.push(cell);
+    });
+  });
+  return { nbformat: 4, nbformat_minor: 0, metadata, cells };
+}
+
+/**
+ * Upgrade an nbformat 2/3 output to nbformat 4
+ * @param {*} o - The output
+ * @returns {*} nbformat 4 output
+ */
+function upgradeOutput(o) {
+  if (!o || typeof o !== 'object') return o;
+  if (o.output_type === 'pyout' || (o.output_type === 'display_data' && !o.data)) {
+    const data = {};
+    Object.entries(LEGACY_OUTPUT_MIME_TYPES).forEach(([key, mime]) => {
+      if (o[key] !== undefined) data[mime] = o[key];
+    });
+    const output = { output_type: o.output_type === 'pyout' ? 'execute_result' : 'display_data', data, metadata: o.metadata || {} };
+    if (o.output_type === 'pyout') output.execution_count = Number.isInteger(o.prompt_number) ? o.prompt_number : null;
+    return output;
+  }
+  if (o.output_type === 'pyerr') {
+    return { output_type: 'error', ename: o.ename, evalue: o.evalue, traceback: o.traceback || [] };
+  }
+  if (o.output_type === 'stream' && o.stream) {
+    return { output_type: 'stream', name: o.stream, text: o.text !== undefined ? o.text : '' };
+  }
+  return o;
+}
+
+/**
+ * Validate a notebook against the parts of the nbformat 4 schema the viewer relies on
+ * Returns a copy that is safe to render: invalid cells and outputs are left out, bad
+ * sources are turned into text, unknown cell types are shown as raw cells.
+ * @param {*} nb - Parsed (and upgraded) notebook JSON
+ * @returns {{nb: Object, problems: {where: string, message: string}[]}} Renderable notebook and problems found
+ */
+function checkNotebook(nb) {
+  const problems = [];
+  const report = (where, message) => problems.push({ where, message });
+  const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isText = value => typeof value === 'string' || (Array.isArray(value) && value.every(line => typeof line === 'string'));
+  const toText = value => (Array.isArray(value) ? value.map(String).join('') : value === undefined || value === null ? '' : String(value));
+
+  if (!isObject(nb)) {
+    report('', 'the file is not a JSON object');
+    return { nb: { nbformat: 4, nbformat_minor: 0, metadata: {}, cells: [] }, problems };
+  }
+  if (!Number.isInteger(nb.nbformat)) {
+    report('nbformat', 'missing or not an integer');
+  } else if (nb.nbformat > 4) {
+    report('nbformat', `version ${nb.nbformat} is newer than the supported version 4`);
+  }
+  if (nb.metadata !== undefined && !isObject(nb.metadata)) report('metadata', 'must be an object');
+  if (!Array.isArray(nb.cells)) report('cells', nb.cells === undefined ? 'missing' : 'must be a list');
+
+  const cells = [];
+  (Array.isArray(nb.cells) ? nb.cells : []).forEach((c, i) => {
+    const at = `cells[${i}]`;
+    if (!isObject(c)) {
+      report(at, 'must be an object - cell left out');
+      return;
+    }
+    const cell = { ...c };
+    if (!NOTEBOOK_CELL_TYPES.includes(c.cell_type)) {
+      report(`${at}.cell_type`, `unknown cell type ${JSON.stringify(c.cell_type)} - shown as raw`);
+      cell.cell_type = 'raw';
+    }
+    if (!isText(c.source)) {
+      report(`${at}.source`, 'must be a string or a list of strings');
+      cell.source = toText(c.source);
+    }
+    if (cell.cell_type === 'code') {
+      if (c.execution_count !== undefined && c.execution_count !== null && !Number.isInteger(c.execution_count)) {
+        report(`${at}.execution_count`, 'must be an integer or null');
+        cell.execution_count = null;
+      }
+      if (!Array.isArray(c.outputs)) {
+        report(`${at}.outputs`, c.outputs === undefined ? 'missing' : 'must be a list');
+      }
+      cell.outputs = (Array.isArray(c.outputs) ? c.outputs : []).filter((o, j) => {
+        const where = `${at}.outputs[${j}]`;
+        let problem = null;
+        if (!isObject(o)) {
+          problem = [where, 'must be an object'];
+        } else if (!NOTEBOOK_OUTPUT_TYPES.includes(o.output_type)) {
+          problem = [`${where}.output_type`, `invalid output type ${JSON.stringify(o.output_type)}`];
+        } else if (o.output_type === 'stream' && !isText(o.text)) {
+          problem = [`${where}.text`, 'must be a string or a list of strings'];
+        } else if ((o.output_type === 'display_data' || o.output_type === 'execute_result') && !isObject(o.data)) {
+          problem = [`${where}.data`, 'must be an object'];
+        } else if (o.output_type === 'error' && !Array.isArray(o.traceback)) {
+          problem = [`${where}.traceback`, 'must be a list'];
+        }
+        if (problem) report(problem[0], `${problem[1]} - output left out`);
+        return !problem;
+      });
+    }
+    cells.push(cell);
+  });
+  return { nb: { ...nb, metadata: isObject(nb.metadata) ? nb.metadata : {}, cells }, problems };
+}
+
+/**
+ * What a worker needs to run loadNotebookJson(): functions and the constants they use
+ * (see createInlineWorker)
+ */
+const NOTEBOOK_LOADER_WORKER_PARTS = {
+  functions: [loadNotebookJson, jsonErrorLocation, findJsonErrorOffset, salvageCells, upgradeNotebook, upgradeOutput, checkNotebook],
+  constants: { NOTEBOOK_CELL_TYPES, NOTEBOOK_OUTPUT_TYPES, LEGACY_OUTPUT_MIME_TYPES }
+};
+
+/**
+ * Render the diagnostics panel of the viewer
+ * @param {{problems: {where: string, message: string}[], jsonError: Object|null}|undefined} diagnostics - Problems of the file
+ * @param {string} raw - The file contents (for the JSON error excerpt)
+ * @returns {string} HTML ('' when there is nothing to report)
+ */
+function renderDiagnostics(diagnostics, raw) {
+  if (!diagnostics) return '';
+  const { problems, jsonError } = diagnostics;
+  const count = problems.length + (jsonError ? 1 : 0);
+  let html = `<details class="diagnostics" open><summary>⚠ ${count} ${count === 1 ? 'problem' : 'problems'} in this file - showing what could be read</summary><ul>`;
+  if (jsonError && jsonError.position === null) {
+    html += `<li>Invalid JSON (position unknown): ${escapeHtml(jsonError.message)}</li>`;
+  } else if (jsonError) {
+    const start = Math.max(0, jsonError.position - JSON_EXCERPT_CONTEXT);
+    const end = Math.min(raw.length, jsonError.position + JSON_EXCERPT_CONTEXT);
+    html += `<li>Invalid JSON at line ${jsonError.line}, column ${jsonError.column}: ${escapeHtml(jsonError.message)}
+      <pre class="json-excerpt">${escapeHtml(raw.slice(start, jsonError.position))}<mark class="json-error">${escapeHtml(raw.charAt(jsonError.position) || ' ')}</mark>${escapeHtml(raw.slice(jsonError.position + 1, end))}</pre></li>`;
+  }
+  problems.slice(0, MAX_DIAGNOSTICS).forEach(p => {
+    html += `<li>${p.where ? `<code>${escapeHtml(p.where)}</code>: ` : ''}${escapeHtml(p.message)}</li>`;
+  });
+  if (problems.length > MAX_DIAGNOSTICS) {
+    html += `<li>… and ${problems.length - MAX_DIAGNOSTICS} more</li>`;
+  }
+  return html + '</ul></details>';
+}
+
+// ============================================================================
+// Jupytext Percent Scripts
+// ============================================================================
+
+/**
+ * Check whether a script uses the jupytext/VS Code "percent" cell format
+ * @param {string} raw - The script text
+ * @returns {boolean} True if at least one `# %%` cell marker is present
+ */
+function isPercentScript(raw) {
+  return PERCENT_MARKER.test(raw);
+}
+
+/**
+ * Split text into nbformat source lines (every line but the last keeps its newline)
+ * @param {string} text - Cell source
+ * @returns {string[]} Source lines
+ */
+function toSourceLines(text) {
+  if (!text) return [];
+  return text.split('\n').map((line, i, lines) => (i < lines.length - 1 ? line + '\n' : line));
+}
+
+/**
+ * Parse the kernelspec out of a jupytext YAML header (`# ---` ... `# ---`)
+ * Only the flat `kernelspec:` mapping is read; the rest of the header is ignored.
+ * @param {string[]} lines - Header lines, comment markers included
+ * @returns {Object|null} kernelspec, or null when absent
+ */
+function parseJupytextHeader(lines) {
+  let kernelspec = null;
+  let indent = -1;
+  lines.forEach(line => {
+    const m = line.match(/^#( *)([\w-]+):\s*(.*)$/);
+    if (!m) return;
+    if (m[2] === 'kernelspec' && !m[3]) {
+      kernelspec = {};
+      indent = m[1].length;
+    } else if (kernelspec && m[1].length > indent && indent >= 0) {
+      kernelspec[m[2]] = m[3].replace(/^(["'])(.*)\1$/, '$2');
+    } else {
+      indent = -1;
+    }
+  });
+  return kernelspec;
+}
+
+/**
+ * Convert a percent script to an nbformat 4 notebook
+ * `# %% [markdown]` cells are uncommented into markdown cells, `# %% [raw]` into raw
+ * cells, other cells become code cells with escaped markers (`# # %%`) and, in Python,
+ * jupytext-commented magics (`# %time`, `# !pip`) restored. Text before the first marker
+ * becomes a code cell.
+ * @param {string} raw - The script text
+ * @param {string} language - Language of the script (highlight.js name)
+ * @returns {Object} Notebook object (no outputs)
+ */
+function percentToNotebook(raw, language) {
+  let lines = raw.replace(/\r\n?/g, '\n').split('\n');
+  const metadata = { language_info: { name: language } };
+  if (lines[0] === '# ---') {
+    const end = lines.indexOf('# ---', 1);
+    if (end !== -1) {
+      const kernelspec = parseJupytextHeader(lines.slice(1, end));
+      if (kernelspec) metadata.kernelspec = kernelspec;
+      lines = lines.slice(end + 1);
+    }
+  }
+
+  const cells = [];
+  let current = { type: 'code', title: '', lines: [] };
+  const flush = () => {
+    let body = current.lines;
+    while (body.length && !body[0].trim()) body = body.slice(1);
+    while (body.length && !body[body.length - 1].trim()) body = body.slice(0, -1);
+    if (current.marker || body.length) {
+      if (current.type === 'code') {
+        body = body.map(line => {
+          if (PERCENT_ESCAPED_MARKER.test(line)) return line.replace(PERCENT_ESCAPED_MARKER, '$1');
+          return language === 'python' ? line.replace(PERCENT_COMMENTED_MAGIC, '$1$2') : line;
+        });
+      } else {
+        body = body.map(line => line.replace(/^# ?/, ''));
+      }
+      const cell = { cell_type: current.type, metadata: {}, source: toSourceLines(body.join('\n')) };
+      if (current.title) cell.metadata.title = current.title;
+      if (current.type === 'code') {
+        cell.execution_count = null;
+        cell.outputs = [];
+      }
+      cells.push(cell);
+    }
+  };
+  lines.forEach(line => {
+    const m = line.match(PERCENT_MARKER_LINE);
+    if (!m) {
+      current.lines.push(line);
+      return;
+    }
+    flush();
+    const kind = (m[1].match(/\[(markdown|md|raw)\]/) || [])[1];
+    current = {
+      type: kind === 'raw' ? 'raw' : kind ? 'markdown' : 'code',
+      title: m[1].replace(/\[\w+\]/, '').replace(/\s\w+=\S+/g, '').trim(),
+      marker: true,
+      lines: []
+    };
+  });
+  flush();
+  return { cells, metadata, nbformat: 4, nbformat_minor: 4 };
+}
+
+/**
+ * Convert a notebook to a percent script (the inverse of percentToNotebook)
+ * Outputs are dropped; the kernelspec is kept in a jupytext header. Like jupytext, code
+ * lines that look like cell markers are escaped as `# # %%`, and magics are commented out
+ * (after their indentation) in Python notebooks only: other languages use `%` and `!` as code.
+ * @param {Object} nb - The notebook object
+ * @returns {string} Script text
+ */
+function notebookToPercent(nb) {
+  const parts = [];
+  const python = getNotebookLanguage(nb) === 'python';
+  const kernelspec = nb.metadata && nb.metadata.kernelspec;
+  if (kernelspec) {
+    const fields = ['display_name', 'language', 'name'].filter(key => kernelspec[key]);
+    parts.push(['# ---', '# jupyter:', '#   kernelspec:',
+      ...fields.map(key => `#     ${key}: ${kernelspec[key]}`), '# ---'].join('\n'));
+  }
+  (nb.cells || []).forEach(c => {
+    const src = multilineString(c.source).replace(/\n+$/, '');
+    const title = c.metadata && c.metadata.title ? ` ${c.metadata.title}` : '';
+    if (c.cell_type === 'code') {
+      const body = src.split('\n').map(line => {
+        if (PERCENT_MARKER_LIKE.test(line)) return `# ${line}`;
+        return python ? line.replace(/^(\s*)([%!])/, '$1# $2') : line;
+      }).join('\n');
+      parts.push(`# %%${title}\n${body}`);
+    } else {
+      const kind = c.cell_type === 'raw' ? 'raw' : 'markdown';
+      const body = src.split('\n').map(line => (line ? `# ${line}` : '#')).join('\n');
+      parts.push(`# %%${title} [${kind}]\n${body}`);
+    }
+  });
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Get the other format a viewed file can be downloaded as
+ * @param {Object} meta - Card metadata from cardMap
+ * @returns {{label: string, filename: string, mime: string, convert: function(): string}|null}
+ *   Conversion, or null if the file is neither a notebook nor a percent script
+ */
+function getFormatConversion(meta) {
+  const base = meta.filename.replace(/\.[^.]*$/, '');
+  if (meta.type === 'ipynb') {
+    const nb = getCachedNotebook(meta);
+    const language = getNotebookLanguage(nb);
+    const type = Object.keys(FILE_TYPES).find(key => FILE_TYPES[key].language === language && FILE_TYPES[key].notebook);
+    if (!type) return null;
+    const ext = type === 'r' ? '.R' : FILE_TYPES[type].extensions[0];
+    return {
+      label: `Download as ${ext} (percent)`,
+      filename: base + ext,
+      mime: 'text/plain',
+      convert: () => notebookToPercent(nb)
+    };
+  }
+  const def = FILE_TYPES[meta.type];
+  if (def.notebook && isPercentScript(meta.raw)) {
+    return {
+      label: 'Download as .ipynb',
+      filename: base + '.ipynb',
+      mime: 'application/x-ipynb+json',
+      convert: () => JSON.stringify(def.notebook(meta.raw), null, 1) + '\n'
+    };
+  }
+  return null;
+}
+
+/**
+ * Show the format conversion action for the file in the viewer (hidden when none applies)
+ * @param {Object|null} meta - Card metadata, or null for views without a single file
+ */
+function updateConvertButton(meta) {
+  let conversion = null;
+  try {
+    conversion = meta ? getFormatConversion(meta) : null;
+  } catch (err) {
+    conversion = null;
+  }
+  convertButton.style.display = conversion ? '' : 'none';
+  convertButton.textContent = conversion ? `⇄ ${conversion.label}` : '';
+  convertButton.onclick = conversion
+    ? () => downloadFile(conversion.filename, conversion.convert(), conversion.mime)
+    : null;
+}
+
+// ============================================================================
+// Notebook Analysis
+// ============================================================================
+
+/**
+ * Parse a file as a notebook through its FILE_TYPES entry, without rendering it
+ * @param {string} raw - The file contents
+ * @param {string} type - Its FILE_TYPES key
+ * @returns {Object|null} Notebook, or null for other files and unparseable notebooks
+ */
+function parseNotebookFile(raw, type) {
+  const def = FILE_TYPES[type];
+  if (!def || !def.notebook) return null;
+  try {
+    return def.notebook(raw);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Decoded size of a base64 payload
+ * @param {string} b64 - Base64 text (whitespace allowed)
+ * @returns {number} Size in bytes
+ */
+function base64Bytes(b64) {
+  const clean = b64.replace(/\s/g, '');
+  const padding = clean.endsWith('==') ? 2 : clean.endsWith('=') ? 1 : 0;
+  return Math.max(0, Math.floor(clean.length * 3 / 4) - padding);
+}
+
+/**
+ * Size of an image in a MIME bundle (SVG as text, raster images decoded from base64)
+ * @param {Object} bundle - MIME bundle (output data or cell attachment)
+ * @returns {number} Image bytes in the bundle
+ */
+function bundleImageBytes(bundle) {
+  let bytes = 0;
+  Object.entries(bundle || {}).forEach(([mime, value]) => {
+    if (!mime.startsWith('image/')) return;
+    const text = multilineString(value);
+    bytes += mime === 'image/svg+xml' ? text.length : base64Bytes(text);
+  });
+  return bytes;
+}
+
+/**
+ * Compute statistics of a notebook (no rendering involved)
+ * Output sizes are measured as stored in the .ipynb (serialized JSON), so they add up to
+ * what the outputs cost in the repository.
+ * @param {Object} nb - The notebook object
+ * @returns {{codeCells: number, markdownCells: number, rawCells: number, outputs: number,
+ *   outputBytes: number, largestOutputBytes: number, imageBytes: number, kernel: string,
+ *   nbformat: string, unexecutedCells: number, unexecutedShare: number}} Statistics
+ */
+function analyzeNotebook(nb) {
+  const stats = {
+    codeCells: 0, markdownCells: 0, rawCells: 0, outputs: 0, outputBytes: 0, largestOutputBytes: 0,
+    imageBytes: 0, kernel: '', nbformat: '', unexecutedCells: 0, unexecutedShare: 0
+  };
+  const meta = nb.metadata || {};
+  stats.kernel = (meta.kernelspec && meta.kernelspec.display_name) || getNotebookLanguage(nb);
+  if (nb.nbformat) stats.nbformat = `${nb.nbformat}.${nb.nbformat_minor || 0}`;
+  if (meta.orig_nbformat) stats.nbformat += ` (from ${meta.orig_nbformat})`;
+
+  (nb.cells || []).forEach(c => {
+    if (c.cell_type === 'code') {
+      stats.codeCells++;
+      // Empty cells are not counted as never executed
+      if (!Number.isInteger(c.execution_count) && multilineString(c.source).trim()) stats.unexecutedCells++;
+    } else if (c.cell_type === 'markdown') {
+      stats.markdownCells++;
+    } else {
+      stats.rawCells++;
+    }
+    Object.values(c.attachments || {}).forEach(bundle => {
+      stats.imageBytes += bundleImageBytes(bundle);
+    });
+    (c.outputs || []).forEach(o => {
+      const size = JSON.stringify(o).length;
+      stats.outputs++;
+      stats.outputBytes += size;
+      stats.largestOutputBytes = Math.max(stats.largestOutputBytes, size);
+      stats.imageBytes += bundleImageBytes(o.data);
+    });
+  });
+  stats.unexecutedShare = stats.codeCells ? stats.unexecutedCells / stats.codeCells : 0;
+  return stats;
+}
+
+/**
+ * Summary line of notebook statistics for the viewer header
+ * @param {Object|null} nb - The viewed notebook (null for other files)
+ * @returns {string} HTML ('' for files that are not notebooks)
+ */
+function renderViewerStats(nb) {
+  if (!nb) return '';
+  const stats = analyzeNotebook(nb);
+  const parts = [
+    `${stats.codeCells} code`,
+    `${stats.markdownCells} markdown`,
+    `${stats.outputs} outputs (${formatBytes(stats.outputBytes)}, largest ${formatBytes(stats.largestOutputBytes)})`,
+    `${formatBytes(stats.imageBytes)} images`,
+    stats.kernel,
+    stats.nbformat && `nbformat ${stats.nbformat}`,
+    `${Math.round(stats.unexecutedShare * 100)}% never executed`
+  ].filter(Boolean);
+  return parts.map(part => `<span>${escapeHtml(part)}</span>`).join(' · ');
+}
+
+/**
+ * Analyze every notebook below the current folder and show the stats dashboard
+ * Files are read one at a time; the run stops if the viewer is closed or reused.
+ */
+async function openStatsDashboard() {
+  const files = collectFiles(getCurrentNode());
+  const folder = currentPath.join('/') || 'root';
+  openViewerPanel(`Stats: ${folder}`);
+  showModal();
+  modal.scrollTop = 0;
+  const panel = document.createElement('div');
+  panel.className = 'stats-dashboard';
+  viewerBody.innerHTML = '';
+  viewerBody.appendChild(panel);
+
+  const rows = [];
+  for (let i = 0; i < files.length; i++) {
+    if (!panel.isConnected) return;
+    panel.textContent = `Analyzing ${i + 1} / ${files.length}…`;
+    const file = files[i];
+    const type = getFileType(file.name);
+    if (!FILE_TYPES[type].notebook) continue;
+    let nb;
+    try {
+      nb = getEntryNotebook(await getFileEntry(file), type);
+    } catch (err) {
+      continue;
+    }
+    if (nb) {
+      rows.push({ file, size: file.size, ...analyzeNotebook(nb) });
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  if (panel.isConnected) renderStatsDashboard(panel, rows);
+}
+
+/**
+ * Render folder totals, the heaviest notebooks and the per-notebook table
+ * @param {HTMLElement} panel - Dashboard container
+ * @param {Object[]} rows - analyzeNotebook() results with `file` and `size`
+ */
+function renderStatsDashboard(panel, rows) {
+  if (!rows.length) {
+    panel.innerHTML = '<p>No notebooks in this folder.</p>';
+    return;
+  }
+  const sum = key => rows.reduce((total, row) => total + row[key], 0);
+  const totalSize = sum('size');
+  const codeCells = sum('codeCells');
+  const tile = (value, label) => `<div class="stats-tile"><div class="stats-value">${escapeHtml(String(value))}</div><div class="stats-label">${label}</div></div>`;
+  let html = '<div class="stats-tiles">' +
+    tile(rows.length, 'notebooks') +
+    tile(formatBytes(totalSize), 'on disk') +
+    tile(codeCells, 'code cells') +
+    tile(sum('markdownCells'), 'markdown cells') +
+    tile(formatBytes(sum('outputBytes')), 'in outputs') +
+    tile(formatBytes(sum('imageBytes')), 'in images') +
+    tile(`${codeCells ? Math.round(sum('unexecutedCells') / codeCells * 100) : 0}%`, 'code cells never executed') +
+    '</div>';
+
+  const heaviest = [...rows].sort((a, b) => b.size - a.size).slice(0, STATS_HEAVIEST_COUNT);
+  html += '<h3>Heaviest notebooks</h3><ol class="stats-heaviest">';
+  heaviest.forEach(row => {
+    const share = totalSize ? Math.round(row.size / totalSize * 100) : 0;
+    const heavy = row.size >= HEAVY_NOTEBOOK_BYTES
+      ? ` <span class="card-badge heavy" title="Larger than ${formatBytes(HEAVY_NOTEBOOK_BYTES)}">heavy</span>` : '';
+    const why = row.size ? ` - outputs ${Math.round(row.outputBytes / row.size * 100)}%, images ${Math.round(row.imageBytes / row.size * 100)}%` : '';
+    html += `<li><a href="#" data-path="${escapeHtml(row.file.fullPath)}">${escapeHtml(row.file.fullPath)}</a>${heavy}
+      <span class="stats-muted">${formatBytes(row.size)} (${share}% of folder)${why}</span></li>`;
+  });
+  html += '</ol>';
+
+  const columns = [
+    ['Notebook', row => row.file.fullPath],
+    ['Kernel', row => row.kernel],
+    ['nbformat', row => row.nbformat],
+    ['Code', row => row.codeCells],
+    ['Markdown', row => row.markdownCells],
+    ['Outputs', row => row.outputs],
+    ['Output size', row => formatBytes(row.outputBytes)],
+    ['Largest output', row => formatBytes(row.largestOutputBytes)],
+    ['Images', row => formatBytes(row.imageBytes)],
+    ['Never executed', row => `${Math.round(row.unexecutedShare * 100)}%`],
+    ['File size', row => formatBytes(row.size)]
+  ];
+  html += '<h3>All notebooks</h3><table class="file-table stats-table"><thead><tr>' +
+    columns.map(([label]) => `<th>${label}</th>`).join('') + '</tr></thead><tbody>';
+  rows.forEach(row => {
+    const heavy = row.size >= HEAVY_NOTEBOOK_BYTES ? ' class="heavy"' : '';
+    html += `<tr${heavy} data-path="${escapeHtml(row.file.fullPath)}" tabindex="0">` +
+      columns.map(([, value]) => `<td>${escapeHtml(String(value(row)))}</td>`).join('') + '</tr>';
+  });
+  html += '</tbody></table>';
+  panel.innerHTML = html;
+
+  const byPath = new Map(rows.map(row => [row.file.fullPath, row.file]));
+  panel.querySelectorAll('[data-path]').forEach(el => {
+    el.addEventListener('click', e => {
+      e.preventDefault();
+      openFileInViewer(byPath.get(el.dataset.path));
+    });
+    activateOnKeys(el);
+  });
+}
+
+// ============================================================================
+// Notebook Lint
+// ============================================================================
+
+/**
+ * Check a notebook for execution-order and reproducibility problems
+ * Only the saved execution counts and sources are used; nothing is run.
+ * @param {Object} nb - The notebook object
+ * @returns {{cell: number, rule: string, message: string}[]} Issues (rule is a LINT_RULES key)
+ */
+function lintNotebook(nb) {
+  const issues = [];
+  const cells = nb.cells || [];
+  let previous = 0;
+  let lastExecuted = -1;
+
+  cells.forEach((c, i) => {
+    if (c.cell_type !== 'code') return;
+    const count = c.execution_count;
+    if (Number.isInteger(count)) {
+      if (count <= previous) {
+        issues.push({ cell: i, rule: 'order', message: `Ran as [${count}] after a cell above ran as [${previous}]` });
+      } else if (count > previous + 1) {
+        const message = previous
+          ? `Execution count jumps from [${previous}] to [${count}]`
+          : `First executed cell ran as [${count}], not [1]`;
+        issues.push({ cell: i, rule: 'gap', message });
+      }
+      previous = count;
+      lastExecuted = i;
+    } else if ((c.outputs || []).length) {
+      issues.push({ cell: i, rule: 'stale', message: 'Has outputs but no execution count' });
+    }
+  });
+
+  cells.forEach((c, i) => {
+    if (c.cell_type !== 'code') return;
+    const src = multilineString(c.source);
+    // Cells with outputs are already reported as stale
+    const unexecuted = !Number.isInteger(c.execution_count) && !(c.outputs || []).length;
+    if (i < lastExecuted && unexecuted && src.trim()) {
+      issues.push({ cell: i, rule: 'skipped', message: 'Never executed, but later cells were' });
+    }
+    const paths = new Set(src.match(ABSOLUTE_PATH_PATTERN) || []);
+    paths.forEach(path => {
+      issues.push({ cell: i, rule: 'path', message: `Hard-coded absolute path: ${path}` });
+    });
+  });
+  return issues;
+}
+
+/**
+ * Lint a notebook and group the issues by cell
+ * @param {Object} nb - The notebook object
+ * @returns {Map<number, Object[]>} lintNotebook() issues keyed by cell index
+ */
+function groupLintByCell(nb) {
+  const byCell = new Map();
+  lintNotebook(nb).forEach(issue => {
+    if (!byCell.has(issue.cell)) byCell.set(issue.cell, []);
+    byCell.get(issue.cell).push(issue);
+  });
+  return byCell;
+}
+
+/**
+ * Add one badge per lint rule a notebook breaks to its gallery card
+ * @param {HTMLElement} card - The card element
+ * @param {Object[]} issues - lintNotebook() issues of the notebook
+ */
+function addLintBadges(card, issues) {
+  const counts = {};
+  issues.forEach(issue => {
+    counts[issue.rule] = (counts[issue.rule] || 0) + 1;
+  });
+  Object.entries(LINT_RULES).forEach(([rule, { badge, title }]) => {
+    if (counts[rule]) addCardBadge(card, `⚠ ${badge}`, 'lint', `${title} (${counts[rule]}×)`);
+  });
+}
+
+// ============================================================================
+// Figure Gallery
+// ============================================================================
+
+/**
+ * Collect the output images of a notebook, one per output
+ * Runs inside the figure worker too, so it must not use anything outside its own body.
+ * @param {Object} nb - The notebook object
+ * @param {string[]} mimes - Image types to collect, in order of preference
+ * @returns {{cell: number, mime: string, data: string}[]} Figures in notebook order
+ */
+function extractFigures(nb, mimes) {
+  const figures = [];
+  (nb.cells || []).forEach((c, cell) => {
+    (c.outputs || []).forEach(o => {
+      const data = o.data || {};
+      const mime = mimes.find(m => data[m]);
+      if (mime) {
+        figures.push({ cell, mime, data: Array.isArray(data[mime]) ? data[mime].join('') : String(data[mime]) });
+      }
+    });
+  });
+  return figures;
+}
+
+/**
+ * Worker entry point: read and parse each notebook, post its figures as soon as they are found
+ * @param {MessageEvent} e - Message with `files` (File[]) and `mimes`
+ */
+function figureWorkerMain(e) {
+  const reader = new FileReaderSync();
+  e.data.files.forEach((file, index) => {
+    let figures = [];
+    try {
+      figures = extractFigures(loadNotebookJson(reader.readAsText(file)).nb, e.data.mimes);
+    } catch (err) {
+      // Unreadable or invalid notebooks simply have no figures
+    }
+    self.postMessage({ index, figures });
+  });
+}
+
+/**
+ * Start a worker running the source of self-contained functions
+ * The worker comes from a Blob URL, so it also runs on file:// pages where workers
+ * loaded from a script URL are blocked.
+ * @param {Function[]} functions - Functions the worker needs
+ * @param {Function} main - Function handling the worker's messages
+ * @param {Object} [constants] - Constants the functions use (JSON values or regexes), by name
+ * @returns {Worker|null} The worker, or null where workers are unavailable
+ */
+function createInlineWorker(functions, main, constants = {}) {
+  if (typeof Worker === 'undefined') return null;
+  const declarations = Object.entries(constants)
+    .map(([name, value]) => `const ${name} = ${value instanceof RegExp ? String(value) : JSON.stringify(value)};`);
+  const source = `${[...declarations, ...functions.map(String)].join('\n')}\nself.onmessage = ${main.name};\n${main}`;
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  try {
+    return new Worker(url);
+  } catch (err) {
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Show every output image of the loaded notebooks as a thumbnail grid
+ * Notebooks are scanned only when the view opens, in a worker where possible (on the
+ * main thread otherwise); thumbnails are decoded when they scroll into view.
+ */
+function openFigureGallery() {
+  const files = collectFiles(folderStructure).filter(file => getFileType(file.name) === 'ipynb');
+  openViewerPanel('Figures');
+  showModal();
+  modal.scrollTop = 0;
+  const panel = document.createElement('div');
+  panel.className = 'figure-gallery';
+  panel.innerHTML = '<p class="figure-status"></p><div class="figure-grid"></div>';
+  viewerBody.innerHTML = '';
+  viewerBody.appendChild(panel);
+  const status = panel.querySelector('.figure-status');
+  const grid = panel.querySelector('.figure-grid');
+
+  let scanned = 0;
+  let count = 0;
+  const showStatus = () => {
+    status.textContent = scanned < files.length
+      ? `Scanning ${scanned} / ${files.length} notebooks… ${count} figures so far`
+      : `${count} figures in ${files.length} notebooks`;
+  };
+  const addFigures = (file, figures) => {
+    figures.forEach(figure => grid.appendChild(createFigureItem({ file, ...figure })));
+    count += figures.length;
+    scanned++;
+    showStatus();
+  };
+  showStatus();
+
+  // Fallback: same scan on the main thread, yielding between notebooks
+  const scanOnMainThread = async from => {
+    for (let i = from; i < files.length && panel.isConnected; i++) {
+      let figures = [];
+      try {
+        figures = extractFigures(loadNotebookJson(await readFileText(files[i])).nb, FIGURE_MIME_TYPES);
+      } catch (err) {
+        // Unreadable or invalid notebooks simply have no figures
+      }
+      if (panel.isConnected) addFigures(files[i], figures);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  };
+
+  const worker = files.length
+    ? createInlineWorker([...NOTEBOOK_LOADER_WORKER_PARTS.functions, extractFigures], figureWorkerMain, NOTEBOOK_LOADER_WORKER_PARTS.constants)
+    : null;
+  if (!worker) {
+    scanOnMainThread(0);
+    return;
+  }
+  worker.onmessage = e => {
+    if (!panel.isConnected) {
+      worker.terminate();
+      return;
+    }
+    addFigures(files[e.data.index], e.data.figures);
+    if (scanned === files.length) worker.terminate();
+  };
+  worker.onerror = () => {
+    worker.terminate();
+    scanOnMainThread(scanned);
+  };
+  worker.postMessage({ files, mimes: FIGURE_MIME_TYPES });
+}
+
+/**
+ * Build a thumbnail of the figure gallery
+ * The thumbnail opens the notebook at the producing cell; the caption buttons zoom and download.
+ * @param {{file: File, cell: number, mime: string, data: string}} figure - The figure
+ * @returns {HTMLElement} Figure element
+ */
+function createFigureItem(figure) {
+  const item = document.createElement('figure');
+  item.className = 'figure-item';
+  item.innerHTML = `
+    <button class="figure-thumb" type="button" title="Open ${escapeHtml(figure.file.fullPath)} at cell #${figure.cell + 1}"><img alt="Figure from ${escapeHtml(figure.file.name)}, cell ${figure.cell + 1}"></button>
+    <figcaption>
+      <span class="figure-caption" title="${escapeHtml(figure.file.fullPath)}">${escapeHtml(figure.file.name)} · cell #${figure.cell + 1}</span>
+      <button class="figure-zoom" type="button" title="Zoom">🔍</button>
+      <button class="figure-download" type="button" title="Download">⤓</button>
+    </figcaption>`;
+  const img = item.querySelector('img');
+  observeOnce(item, () => {
+    img.src = imageDataUri(figure.mime, figure.data);
+  });
+  item.querySelector('.figure-thumb').onclick = () => openFileInViewer(figure.file, { cell: figure.cell });
+  item.querySelector('.figure-zoom').onclick = () => openLightbox(figure);
+  item.querySelector('.figure-download').onclick = () => downloadFigure(figure);
+  return item;
+}
+
+/**
+ * Show a figure at full size over the viewer
+ * @param {{file: File, cell: number, mime: string, data: string}} figure - The figure
+ */
+function openLightbox(figure) {
+  lightboxFigure = figure;
+  lightboxImage.src = imageDataUri(figure.mime, figure.data);
+  lightboxImage.classList.remove('zoomed');
+  lightboxCaption.textContent = `${figure.file.fullPath} · cell #${figure.cell + 1}`;
+  lightboxImage.alt = `Figure from ${figure.file.fullPath}, cell ${figure.cell + 1}`;
+  lightbox.style.display = 'flex';
+  focusDialog(lightbox, document.getElementById('lightboxClose'));
+}
+
+/**
+ * Close the figure lightbox
+ */
+function closeLightbox() {
+  lightbox.style.display = 'none';
+  lightboxImage.removeAttribute('src');
+  lightboxFigure = null;
+  restoreDialogFocus(lightbox);
+}
+
+/**
+ * Download a figure as an image file named after its notebook and cell
+ * @param {{file: File, cell: number, mime: string, data: string}} figure - The figure
+ */
+function downloadFigure(figure) {
+  const base = figure.file.name.replace(/\.ipynb$/i, '');
+  const filename = `${base}-cell${figure.cell + 1}.${FIGURE_EXTENSIONS[figure.mime]}`;
+  const text = figure.data.trim();
+  if (figure.mime === 'image/svg+xml' && text.startsWith('<')) {
+    downloadFile(filename, text, figure.mime);
+    return;
+  }
+  const binary = atob(text.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  downloadFile(filename, bytes, figure.mime);
+}
+
+// ============================================================================
+// File Cache and Parse Worker
+// ============================================================================
+
+/**
+ * Stamp identifying the contents of a file: a file with the same path and stamp is not read again
+ * @param {File} file - The file
+ * @returns {string} Modification time and size
+ */
+function getFileStamp(file) {
+  return `${file.lastModified}:${file.size}`;
+}
+
+/**
+ * Get the cache entry of a file, reading it (and parsing notebooks in the worker) when needed
+ * Search indexing only needs the search data of a notebook, so it asks for an entry without
+ * `raw`: the worker then posts back neither the text nor the preview. Such an entry is read
+ * again when a card or the viewer needs the text.
+ * @param {File} file - The file
+ * @param {boolean} [withRaw=true] - Whether the file contents are needed
+ * @returns {Promise<{path: string, stamp: string, raw: string|null, preview: Object|null, search: Object|null, nb: Object|null|undefined, chars: number}>}
+ *   The entry; `preview` is the worker's preview data for notebooks, `search` its search
+ *   data (see analyzeNotebookSearch), `nb` the parsed notebook once getEntryNotebook() was called
+ */
+function getFileEntry(file, withRaw = true) {
+  const path = file.fullPath;
+  const stamp = getFileStamp(file);
+  const cached = fileCache.entries.get(path);
+  if (cached && cached.stamp === stamp && (cached.raw !== null || !withRaw)) {
+    touchCacheEntry(cached);
+    return Promise.resolve(cached);
+  }
+  const key = `${path}\n${stamp}`;
+  // A full read in progress serves search requests too
+  if (fileCache.pending.has(key)) return fileCache.pending.get(key);
+  const searchKey = `${key}\nsearch`;
+  if (!withRaw && fileCache.pending.has(searchKey)) return fileCache.pending.get(searchKey);
+
+  const generation = fileCache.generation;
+  const read = getFileType(file.name) === 'ipynb'
+    ? parseNotebookInWorker(file, withRaw)
+    : readFileText(file).then(raw => ({ raw, preview: null, search: null }));
+  const load = read.then(({ raw, preview, search }) => {
+    const current = fileCache.entries.get(path);
+    if (raw === null && current && current.stamp === stamp && current.raw !== null) {
+      // The full entry arrived first; keep it
+      if (!current.search) current.search = search;
+      return current;
+    }
+    const entry = { path, stamp, raw, preview, search, nb: undefined, chars: (raw === null ? 0 : raw.length) + searchDataChars(search) };
+    // Reads finishing after the cache was cleared are not kept
+    if (generation === fileCache.generation) storeCacheEntry(entry);
+    return entry;
+  }).finally(() => fileCache.pending.delete(withRaw ? key : searchKey));
+  fileCache.pending.set(withRaw ? key : searchKey, load);
+  return load;
+}
+
+/**
+ * Search data of a cache entry, made from its text when the worker did not provide it
+ * @param {Object} entry - Entry from getFileEntry()
+ * @param {string} type - FILE_TYPES key of the file
+ * @returns {{facts: Object, segments: Object[], metadata: Object|null}} See analyzeNotebookSearch()
+ */
+function getEntrySearch(entry, type) {
+  if (!entry.search) {
+    entry.search = analyzeNotebookSearch(getEntryNotebook(entry, type), entry.raw);
+    // The single segment of other files is their text itself, which the entry already counts
+    if (entry.nb && fileCache.entries.get(entry.path) === entry) {
+      const chars = searchDataChars(entry.search);
+      entry.chars += chars;
+      fileCache.chars += chars;
+      evictFileCache();
+    }
+  }
+  return entry.search;
+}
+
+/**
+ * Size of search data in characters, for the cache budget
+ * @param {Object|null} search - See analyzeNotebookSearch()
+ * @returns {number} Total length of its segments
+ */
+function searchDataChars(search) {
+  return search ? search.segments.reduce((sum, seg) => sum + seg.text.length, 0) : 0;
+}
+
+/**
+ * Parsed notebook of a cache entry, parsed once and then kept with the entry
+ * @param {Object} entry - Entry from getFileEntry()
+ * @param {string} type - FILE_TYPES key of the file
+ * @returns {Object|null} Notebook, or null for other files and unparseable notebooks
+ */
+function getEntryNotebook(entry, type) {
+  if (entry.nb === undefined) {
+    entry.nb = parseNotebookFile(entry.raw, type);
+    if (entry.nb && fileCache.entries.get(entry.path) === entry) {
+      entry.chars += entry.raw.length;
+      fileCache.chars += entry.raw.length;
+      evictFileCache();
+    }
+  }
+  return entry.nb;
+}
+
+/**
+ * Parsed notebook of a file in cardMap (viewer, navigation), through the file cache
+ * @param {Object} meta - Card metadata
+ * @returns {Object|null} Notebook, or null for other files and unparseable notebooks
+ */
+function getCachedNotebook(meta) {
+  let entry = fileCache.entries.get(meta.path);
+  if (entry && entry.raw === meta.raw) {
+    touchCacheEntry(entry);
+  } else {
+    entry = { path: meta.path, stamp: meta.stamp, raw: meta.raw, preview: null, search: null, nb: undefined, chars: meta.raw.length };
+    storeCacheEntry(entry);
+  }
+  return getEntryNotebook(entry, meta.type);
+}
+
+/**
+ * Add an entry to the file cache (replacing the one for the same path)
+ * @param {Object} entry - The entry
+ */
+function storeCacheEntry(entry) {
+  const previous = fileCache.entries.get(entry.path);
+  if (previous) {
+    fileCache.entries.delete(entry.path);
+    fileCache.chars -= previous.chars;
+  }
+  fileCache.entries.set(entry.path, entry);
+  fileCache.chars += entry.chars;
+  evictFileCache();
+}
+
+/**
+ * Mark a cache entry as most recently used
+ * @param {Object} entry - The entry
+ */
+function touchCacheEntry(entry) {
+  fileCache.entries.delete(entry.path);
+  fileCache.entries.set(entry.path, entry);
+}
+
+/**
+ * Drop least recently used entries until the cache fits FILE_CACHE_MAX_CHARS
+ * The most recent entry is always kept.
+ */
+function evictFileCache() {
+  while (fileCache.chars > FILE_CACHE_MAX_CHARS && fileCache.entries.size > 1) {
+    const [path, entry] = fileCache.entries.entries().next().value;
+    fileCache.entries.delete(path);
+    fileCache.chars -= entry.chars;
+  }
+}
+
+/**
+ * Empty the file cache (new folder or Clear All)
+ */
+function clearFileCache() {
+  fileCache.entries.clear();
+  fileCache.pending.clear();
+  fileCache.chars = 0;
+  fileCache.generation++;
+}
+
+/**
+ * Reduce a notebook to what its gallery card needs
+ * Runs inside the parse worker too, so it may only use the functions and constants
+ * handed to createInlineWorker() in startParseWorker().
+ * @param {{nb: Object, problems: Object[], jsonError: Object|null}} loaded - loadNotebookJson() result
+ * @param {number} maxCells - Number of markdown and code cells to keep
+ * @returns {{nb: Object, hasError: boolean, lint: Object[], problems: Object[], jsonError: Object|null}}
+ *   Preview notebook (first cells, without outputs), whether it has an error output,
+ *   its lint issues and its loading problems
+ */
+function extractNotebookPreview(loaded, maxCells) {
+  const { nb, problems, jsonError } = loaded;
+  const cells = (nb.cells || [])
+    .filter(c => c.cell_type === 'markdown' || c.cell_type === 'code')
+    .slice(0, maxCells)
+    .map(c => ({ cell_type: c.cell_type, source: c.source, attachments: c.attachments }));
+  return { nb: { metadata: nb.metadata || {}, cells }, hasError: notebookHasError(nb), lint: lintNotebook(nb), problems, jsonError };
+}
+
+/**
+ * Parse worker entry point: read and parse a notebook once, and post its search data,
+ * plus its text and preview data when `withRaw` is set
+ * @param {MessageEvent} e - Message with the request `id`, the `file` and `withRaw`
+ */
+function parseWorkerMain(e) {
+  const { id, file, withRaw } = e.data;
+  let raw;
+  try {
+    raw = new FileReaderSync().readAsText(file);
+  } catch (err) {
+    self.postMessage({ id, error: String(err) });
+    return;
+  }
+  self.postMessage({ id, ...analyzeNotebookFile(raw, withRaw) });
+}
+
+/**
+ * Parse a notebook and make what the main thread keeps of it
+ * Runs inside the parse worker too (see extractNotebookPreview).
+ * @param {string} raw - The .ipynb text
+ * @param {boolean} withRaw - Whether to include the text and the preview data
+ * @returns {{raw: string|null, preview: Object|null, search: Object}} Text, preview data and search data
+ */
+function analyzeNotebookFile(raw, withRaw) {
+  const loaded = loadNotebookJson(raw);
+  return {
+    raw: withRaw ? raw : null,
+    preview: withRaw ? extractNotebookPreview(loaded, NOTEBOOK_PREVIEW_CELLS) : null,
+    search: analyzeNotebookSearch(loaded.nb, raw)
+  };
+}
+
+/**
+ * Start the parse worker
+ * If the worker fails (e.g. blocked by a content security policy), its pending and
+ * later requests are handled on the main thread.
+ * @returns {{worker: Worker, requests: Map<number, Object>, nextId: number}|false} Worker state
+ */
+function startParseWorker() {
+  const worker = createInlineWorker(
+    [...NOTEBOOK_LOADER_WORKER_PARTS.functions, multilineString, notebookHasError, lintNotebook, extractNotebookPreview,
+      analyzeNotebookFile, analyzeNotebookSearch, outputSearchText],
+    parseWorkerMain,
+    { ...NOTEBOOK_LOADER_WORKER_PARTS.constants, ABSOLUTE_PATH_PATTERN, NOTEBOOK_PREVIEW_CELLS }
+  );
+  if (!worker) return false;
+  const state = { worker, requests: new Map(), nextId: 0 };
+  worker.onmessage = e => {
+    const request = state.requests.get(e.data.id);
+    state.requests.delete(e.data.id);
+    if (e.data.error) {
+      request.reject(new Error(e.data.error));
+    } else {
+      request.resolve({ raw: e.data.raw, preview: e.data.preview, search: e.data.search });
+    }
+  };
+  worker.onerror = () => {
+    worker.terminate();
+    parseWorker = false;
+    state.requests.forEach(request => readNotebookPreview(request.file, request.withRaw).then(request.resolve, request.reject));
+    state.requests.clear();
+  };
+  return state;
+}
+
+/**
+ * Read a notebook and make its preview and search data in the parse worker
+ * @param {File} file - The .ipynb file
+ * @param {boolean} withRaw - Whether the text and preview data are needed (see analyzeNotebookFile)
+ * @returns {Promise<{raw: string|null, preview: Object|null, search: Object}>} Text, preview data and search data
+ */
+function parseNotebookInWorker(file, withRaw) {
+  if (parseWorker === null) parseWorker = startParseWorker();
+  if (!parseWorker) return readNotebookPreview(file, withRaw);
+  const state = parseWorker;
+  return new Promise((resolve, reject) => {
+    const id = state.nextId++;
+    state.requests.set(id, { file, withRaw, resolve, reject });
+    state.worker.postMessage({ id, file, withRaw });
+  });
+}
+
+/**
+ * Main-thread fallback of the parse worker
+ * @param {File} file - The .ipynb file
+ * @param {boolean} withRaw - Whether the text and preview data are needed
+ * @returns {Promise<{raw: string|null, preview: Object|null, search: Object}>} Text, preview data and search data
+ */
+async function readNotebookPreview(file, withRaw) {
+  return analyzeNotebookFile(await readFileText(file), withRaw);
+}
+
+// ============================================================================
+// File Tree and Gallery Functions
+// ============================================================================
+
+/**
+ * Recursively traverse the file tree from drop/add events
+ * Directories are read completely (readEntries returns entries in batches) and sibling
+ * entries are visited in parallel, at most SCAN_CONCURRENCY file system calls at a time.
+ * Ignored entries are pruned without being read; a `.gitignore` adds rules for its folder.
+ * Entries that cannot be read (broken links, missing permissions) are skipped and listed
+ * in `load.unreadable`, so the rest of the folder still loads.
+ * SECURITY: Only reads files locally - never transmits data
+ * @param {FileSystemEntry} item - The file system entry to traverse
+ * @param {File[]} fileList - Array to accumulate files
+ * @param {string} path - Current path for fullPath construction
+ * @param {Object[]} rules - Ignore rules in effect (see parseIgnoreRules)
+ * @param {Object} load - The load in progress (counters and cancel flag)
+ * @param {function(function(): Promise): Promise} limit - Concurrency limiter
+ * @returns {Promise} Promise that resolves when traversal is complete
+ */
+async function traverseFileTree(item, fileList, path, rules, load, limit) {
+  if (load.cancelled) return;
+  // Normalize path: ensure forward slashes for cross-platform compatibility
+  const normalizedPath = path.replace(/\\/g, '/');
+
+  if (item.isFile) {
+    let f;
+    try {
+      f = await limit(() => getEntryFile(item));
+    } catch (err) {
+      reportUnreadableEntry(load, normalizedPath + item.name, err);
+      return;
+    }
+    f.fullPath = normalizedPath + f.name;
+
+    if (debugMode) {
+      console.log('[traverseFileTree] File:', f.name, 'Path:', path, 'FullPath:', f.fullPath);
+    }
+
+    if ((getFileType(f.name) || getArchiveFormat(f.name)) && !f.name.startsWith('._')) {
+      fileList.push(f);
+      load.files++;
+      updateLoadProgress();
+    }
+  } else if (item.isDirectory) {
+    const newPath = normalizedPath + item.name + '/';
+    if (debugMode) {
+      console.log('[traverseFileTree] Directory:', item.name, 'Path:', path, 'NewPath:', newPath);
+    }
+
+    let entries;
+    try {
+      entries = await limit(() => readAllEntries(item));
+    } catch (err) {
+      reportUnreadableEntry(load, newPath, err);
+      return;
+    }
+    load.folders++;
+    updateLoadProgress();
+
+    let dirRules = rules;
+    const gitignore = entries.find(entry => entry.isFile && entry.name === '.gitignore');
+    if (gitignore) {
+      try {
+        const text = await limit(async () => readFileText(await getEntryFile(gitignore)));
+        dirRules = rules.concat(parseIgnoreRules(text, newPath));
+      } catch (err) {
+        reportUnreadableEntry(load, newPath + gitignore.name, err);
+      }
+    }
+
+    await Promise.all(entries.map(entry => {
+      // Skip macOS metadata files and ignored folders/files
+      if (entry.name.startsWith('._')) return null;
+      if (isIgnoredPath(newPath + entry.name, entry.isDirectory, dirRules)) {
+        load.ignored++;
+        return null;
+      }
+      return traverseFileTree(entry, fileList, newPath, dirRules, load, limit);
+    }));
+  }
+}
+
+/**
+ * Record an entry the folder scan could not read
+ * @param {Object} load - The load in progress
+ * @param {string} path - Path of the entry
+ * @param {Error|DOMException} err - Why it could not be read
+ */
+function reportUnreadableEntry(load, path, err) {
+  load.unreadable.push(`${path}: ${err.message || err.name || 'unreadable'}`);
+  updateLoadProgress();
+}
+
+/**
+ * Read every entry of a directory (readEntries must be called until it returns nothing;
+ * Chromium hands out at most 100 entries per call)
+ * @param {FileSystemDirectoryEntry} dir - The directory
+ * @returns {Promise<FileSystemEntry[]>} All entries
+ */
+function readAllEntries(dir) {
+  const reader = dir.createReader();
+  const entries = [];
+  return new Promise((resolve, reject) => {
+    const readBatch = () => reader.readEntries(batch => {
+      if (!batch.length) {
+        resolve(entries);
+        return;
+      }
+      entries.push(...batch);
+      readBatch();
+    }, reject);
+    readBatch();
+  });
+}
+
+/**
+ * Get the File of a file entry
+ * @param {FileSystemFileEntry} entry - The file entry
+ * @returns {Promise<File>} The file
+ */
+function getEntryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+/**
+ * Create a limiter that runs at most `max` async tasks at the same time
+ * @param {number} max - Maximum number of concurrent tasks
+ * @returns {function(function(): Promise): Promise} Runs a task when a slot is free
+ */
+function createLimiter(max) {
+  let running = 0;
+  const waiting = [];
+  const next = () => {
+    if (running >= max || !waiting.length) return;
+    running++;
+    const { task, resolve, reject } = waiting.shift();
+    task().then(resolve, reject).finally(() => {
+      running--;
+      next();
+    });
+  };
+  return task => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Scan dropped folders and files
+ * @param {FileSystemEntry[]} entries - Top-level entries of the drop
+ * @param {Object} load - The load in progress
+ * @returns {Promise<File[]>} Supported files and archives, sorted by path
+ */
+async function scanDroppedEntries(entries, load) {
+  const files = [];
+  const limit = createLimiter(SCAN_CONCURRENCY);
+  const rules = parseIgnoreRules(ignoreInput.value, '');
+  await Promise.all(entries.map(entry => {
+    if (isIgnoredPath(entry.name, entry.isDirectory, rules)) {
+      load.ignored++;
+      return null;
+    }
+    return traverseFileTree(entry, files, '', rules, load, limit);
+  }));
+  return files.sort((a, b) => a.fullPath.localeCompare(b.fullPath, undefined, { numeric: true }));
+}
+
+/**
+ * Normalize file path to ensure cross-platform compatibility
+ * Handles both webkitRelativePath (from file input) and fullPath (from drag-drop)
+ * Normalizes Windows backslashes to forward slashes
+ * @param {File} file - The file object to normalize
+ * @returns {string} Normalized path
+ */
+function normalizeFilePath(file) {
+  // Try webkitRelativePath first (from file input with webkitdirectory)
+  // Then fall back to fullPath (from drag-and-drop)
+  let path = file.webkitRelativePath || file.fullPath || '';
+  
+  // If no path is available, use just the filename (file at root level)
+  if (!path) {
+    return file.name;
+  }
+  
+  // Normalize Windows paths: replace all backslashes with forward slashes
+  // Handle both single and double backslashes (some Windows APIs return double)
+  const normalized = path.replace(/\\\\+/g, '/').replace(/\\/g, '/');
+  
+  if (debugMode) {
+    console.log('[normalizeFilePath] File:', file.name);
+    console.log('[normalizeFilePath] webkitRelativePath:', file.webkitRelativePath);
+    console.log('[normalizeFilePath] fullPath:', file.fullPath);
+    console.log('[normalizeFilePath] Normalized:', normalized);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Build a nested tree structure from file array based on normalized paths
+ * @param {File[]} files - Array of files (may have webkitRelativePath or fullPath)
+ * @returns {Object} Nested tree structure representing the folder hierarchy
+ */
+function buildTree(files) {
+  const tree = {};
+  for (const f of files) {
+    // Normalize the path (handles both webkitRelativePath and fullPath)
+    // Always set fullPath to normalized version for consistency
+    const normalized = normalizeFilePath(f);
+    f.fullPath = normalized;
+    
+    // Split into parts and remove empty segments
+    const parts = normalized.split('/').filter(Boolean);
+    
+    if (debugMode) {
+      console.log('[buildTree] File:', f.name);
+      console.log('[buildTree] Normalized path:', normalized);
+      console.log('[buildTree] Path parts:', parts);
+    }
+    
+    let node = tree;
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (i === parts.length - 1) {
+        // Last part is the filename - add to files array
+        if (!node.files) node.files = [];
+        node.files.push(f);
+      } else {
+        // Intermediate part is a folder name
+        node[part] = node[part] || {};
+        node = node[part];
+      }
+    }
+  }
+  
+  if (debugMode) {
+    console.log('[buildTree] Final tree structure:', tree);
+  }
+  
+  return tree;
+}
+
+/**
+ * Load dropped or selected files, opening any archives among them first
+ * Ignore rules (UI list and `.gitignore` files) are applied to the final file list.
+ * @param {FileList|File[]} files - Files and archives
+ * @param {Object} [load] - The load in progress (a new one is started by default)
+ * @param {Map<string, {stamp: string, members: File[]}>|null} [archives] - Archive cache (see expandArchives)
+ * @returns {Promise<boolean>} Resolves once done, true if the gallery was built
+ */
+async function loadFiles(files, load = beginLoad(), archives = null) {
+  try {
+    // Entries the folder scan could not read are reported with the archives that failed
+    const failures = [...load.unreadable];
+    const list = await prepareFiles(files, failures, load, archives);
+    if (load.cancelled) return false;
+    if (failures.length) {
+      alert(`Could not open:\n${failures.join('\n')}`);
+    }
+    return initGallery(list);
+  } finally {
+    endLoad(load);
+  }
+}
+
+/**
+ * Open the archives in a file list and drop ignored files
+ * @param {FileList|File[]} files - Files and archives
+ * @param {string[]} failures - Receives "name: reason" for archives that could not be read
+ * @param {Object} load - The load in progress
+ * @param {Map<string, {stamp: string, members: File[]}>|null} [archives] - Archive cache (see expandArchives)
+ * @returns {Promise<File[]>} Files to show
+ */
+async function prepareFiles(files, failures, load, archives = null) {
+  let list = Array.from(files);
+  if (list.some(f => getArchiveFormat(f.name))) {
+    list = await expandArchives(list, failures, load, 0, archives);
+  }
+  return filterIgnoredFiles(list, load);
+}
+
+/**
+ * Load the entries of a drop: scan folders, then load the files found
+ * @param {FileSystemEntry[]} entries - Top-level entries of the drop
+ * @returns {Promise} Promise that resolves once the gallery is built
+ */
+async function loadDroppedEntries(entries) {
+  const load = beginLoad();
+  let files;
+  try {
+    files = await scanDroppedEntries(entries, load);
+  } catch (err) {
+    endLoad(load);
+    alert(`Could not read the dropped folder: ${err.message}`);
+    return;
+  }
+  if (load.cancelled) {
+    endLoad(load);
+    return;
+  }
+  await loadFiles(files, load);
+}
+
+/**
+ * Initialize the gallery with uploaded files
+ * @param {FileList} files - The files to display in the gallery
+ * @returns {boolean} False when no supported file was found
+ */
+function initGallery(files) {
+  const supportedFiles = Array.from(files).filter(f => 
+    getFileType(f.name) && !f.name.startsWith('._')
+  );
+  if (!supportedFiles.length) {
+    const extensions = Object.values(FILE_TYPES).flatMap(t => t.extensions).join(', ');
+    alert(`No supported files found (${extensions}).`);
+    return false;
+  }
+  
+  if (debugMode) {
+    console.log('[initGallery] Processing', supportedFiles.length, 'files');
+    supportedFiles.forEach(f => {
+      console.log('[initGallery] File:', f.name, 'webkitRelativePath:', f.webkitRelativePath, 'fullPath:', f.fullPath);
+    });
+  }
+  
+  folderStructure = buildTree(supportedFiles);
+  currentPath = [];
+  cardMap.clear();
+  clearFileCache();
+  renderTypeFilters(supportedFiles);
+  renderFolderView(folderStructure);
+  buildSearchIndex(supportedFiles);
+  dropzone.style.display = 'none';
+  searchbar.style.display = 'block';
+  breadcrumbs.style.display = 'block';
+  galleryToolbar.style.display = 'flex';
+  applyPendingRoute();
+  return true;
+}
+
+/**
+ * Render one filter toggle per file type present in the loaded files
+ * @param {File[]} files - The loaded files
+ */
+function renderTypeFilters(files) {
+  typeFilters.innerHTML = '';
+  const present = new Set(files.map(f => getFileType(f.name)));
+  Object.entries(FILE_TYPES).forEach(([type, def]) => {
+    if (!present.has(type)) return;
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.type = type;
+    checkbox.checked = !hiddenFileTypes.has(type);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) hiddenFileTypes.delete(type);
+      else hiddenFileTypes.add(type);
+      renderFolderView(getCurrentNode());
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${def.label} (${def.extensions.join(', ')})`));
+    typeFilters.appendChild(label);
+  });
+}
+
+/**
+ * Add a small badge to a gallery card header
+ * @param {HTMLElement} card - The card element
+ * @param {string} label - Badge text
+ * @param {string} kind - Badge style (e.g. 'error')
+ * @param {string} [title] - Tooltip
+ */
+function addCardBadge(card, label, kind, title) {
+  const header = card.querySelector('.card-header, .file-name');
+  if (!header) return;
+  const badge = document.createElement('span');
+  badge.className = `card-badge ${kind}`;
+  badge.textContent = label;
+  if (title) badge.title = title;
+  header.appendChild(badge);
+}
+
+/**
+ * Render the current folder view with subfolders and files
+ * Files are ordered by galleryOptions.sort; with grouping, every file below the folder
+ * is listed under its subfolder or kernel instead of showing folder cards.
+ * @param {Object} node - The current folder node to render
+ */
+function renderFolderView(node) {
+  gallery.innerHTML = '';
+  gallery.classList.toggle('table-view', galleryOptions.view === 'table');
+  updateBreadcrumbs();
+  updateGalleryToolbar();
+
+  const grouped = galleryOptions.group !== 'none';
+  const files = sortGalleryFiles((grouped ? collectFiles(node) : node.files || [])
+    .filter(file => !hiddenFileTypes.has(getFileType(file.name))));
+  const folders = grouped ? [] : Object.keys(node)
+    .filter(name => name !== 'files' && !name.startsWith('._'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  if (galleryOptions.sort === 'name' && galleryOptions.direction === 'desc') folders.reverse();
+  const groups = grouped ? groupGalleryFiles(files) : [{ title: null, files }];
+
+  if (galleryOptions.view === 'table') {
+    renderFileTable(node, folders, groups);
+  } else {
+    // Render folders first
+    folders.forEach(name => gallery.appendChild(createFolderCard(node, name)));
+    groups.forEach(group => {
+      let container = gallery;
+      if (group.title !== null) {
+        const section = document.createElement('section');
+        section.className = 'gallery-group';
+        const title = document.createElement('h3');
+        title.className = 'group-title';
+        title.textContent = `${group.title} (${group.files.length})`;
+        container = document.createElement('div');
+        container.className = 'group-items';
+        section.appendChild(title);
+        section.appendChild(container);
+        gallery.appendChild(section);
+      }
+      group.files.forEach(file => container.appendChild(createFileCard(file)));
+    });
+  }
+
+  // Keep an active search query applied when moving between folders
+  if (searchInput.value.trim()) refreshSearch();
+  restoreGalleryFocus();
+  const folder = currentPath.join('/');
+  if (gallery.dataset.folder !== folder) {
+    gallery.dataset.folder = folder;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    announce(`${currentPath[currentPath.length - 1] || 'root'}: ${plural(folders.length, 'folder')}, ${plural(files.length, 'file')}`);
+  }
+  syncRoute();
+}
+
+/**
+ * Create the card of a subfolder
+ * @param {Object} node - The current folder node
+ * @param {string} name - Name of the subfolder
+ * @returns {HTMLElement} The folder card
+ */
+function createFolderCard(node, name) {
+  const card = document.createElement('div');
+  card.className = 'card folder';
+  card.dataset.path = [...currentPath, name].join('/');
+  card.tabIndex = 0;
+  card.setAttribute('role', 'button');
+  card.setAttribute('aria-label', `Folder ${name}`);
+  card.innerHTML = '<svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" width="22" height="22" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M3 7h5l2 3h11a1 1 0 0 1 1 1v8a2 2 0 0 1-2 2H4a1 1 0 0 1-1-1V7z"/></svg>';
+  card.appendChild(document.createTextNode(name));
+  card.onclick = () => openFolder(node, name);
+  return card;
+}
+
+/**
+ * Navigate into a subfolder of the current folder
+ * @param {Object} node - The current folder node
+ * @param {string} name - Name of the subfolder
+ */
+function openFolder(node, name) {
+  currentPath.push(name);
+  renderFolderView(node[name]);
+}
+
+/**
+ * Create the card of a file; its preview is loaded when it scrolls into view
+ * The card is a button named by its header (file name and badges); a click before the
+ * preview is loaded opens the file all the same.
+ * @param {File} file - The file
+ * @returns {HTMLElement} The file card
+ */
+function createFileCard(file) {
+  const type = getFileType(file.name);
+  const card = document.createElement('div');
+  card.className = `card ${type}`;
+  card.dataset.path = file.fullPath;
+  card.tabIndex = 0;
+  card.setAttribute('role', 'button');
+  card.onclick = () => openFileInViewer(file);
+  const header = document.createElement('div');
+  header.className = 'card-header';
+  header.id = `card-title-${encodeURIComponent(file.fullPath)}`;
+  header.textContent = file.name;
+  card.setAttribute('aria-labelledby', header.id);
+  const content = document.createElement('div');
+  content.className = 'card-content';
+  card.appendChild(header);
+  card.appendChild(content);
+  observeOnce(card, () => loadFileCard(card, file));
+  return card;
+}
+
+/**
+ * Run a callback the first time an element becomes visible
+ * (lazy loading with IntersectionObserver)
+ * @param {HTMLElement} el - The element to watch
+ * @param {function(): void} callback - Called once
+ */
+function observeOnce(el, callback) {
+  const observer = new IntersectionObserver((entries, obs) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        obs.disconnect();
+        callback();
+      }
+    });
+  });
+  observer.observe(el);
+}
+
+/**
+ * Render the table view: one sortable column per GALLERY_COLUMNS entry
+ * @param {Object} node - The current folder node
+ * @param {string[]} folders - Subfolder names, in display order
+ * @param {{title: string|null, files: File[]}[]} groups - Files to list
+ */
+function renderFileTable(node, folders, groups) {
+  const columns = Object.entries(GALLERY_COLUMNS);
+  const table = document.createElement('table');
+  table.className = 'file-table';
+  const headRow = table.createTHead().insertRow();
+  columns.forEach(([key, column]) => {
+    const th = document.createElement('th');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'plain-button';
+    button.textContent = column.label;
+    th.appendChild(button);
+    th.dataset.sort = key;
+    if (galleryOptions.sort === key) {
+      th.classList.add('sorted');
+      th.setAttribute('aria-sort', galleryOptions.direction === 'asc' ? 'ascending' : 'descending');
+      button.textContent += galleryOptions.direction === 'asc' ? ' ▲' : ' ▼';
+    }
+    th.onclick = () => setGallerySort(key);
+    headRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  folders.forEach(name => {
+    const row = body.insertRow();
+    row.className = 'file-row folder';
+    row.dataset.path = [...currentPath, name].join('/');
+    row.tabIndex = 0;
+    const cell = row.insertCell();
+    cell.className = 'file-name';
+    cell.textContent = `📁 ${name}`;
+    cell.colSpan = columns.length;
+    row.onclick = () => openFolder(node, name);
+  });
+  groups.forEach(group => {
+    if (group.title !== null) {
+      const row = body.insertRow();
+      row.className = 'group-row';
+      const cell = row.insertCell();
+      cell.colSpan = columns.length;
+      cell.textContent = `${group.title} (${group.files.length})`;
+    }
+    group.files.forEach(file => {
+      const entry = searchIndex.byPath.get(file.fullPath);
+      const row = body.insertRow();
+      row.className = `file-row ${getFileType(file.name)}`;
+      row.dataset.path = file.fullPath;
+      row.tabIndex = 0;
+      row.onclick = () => openFileInViewer(file);
+      columns.forEach(([key, column]) => {
+        const cell = row.insertCell();
+        const value = column.value(file, entry);
+        if (key === 'name') {
+          cell.className = 'file-name';
+          cell.textContent = file.name;
+        } else if (value !== null && value !== undefined) {
+          cell.textContent = column.format ? column.format(value) : key === 'path' ? file.fullPath : value;
+          if ((key === 'errors' || key === 'warnings') && value > 0) cell.className = `has-${key}`;
+        }
+      });
+      observeOnce(row, () => getFileEntry(file).then(entry => registerFileItem(row, file, entry.raw), () => {}));
+    });
+  });
+  gallery.appendChild(table);
+}
+
+/**
+ * Sort files by galleryOptions (ties and missing values are ordered by path)
+ * @param {File[]} files - Files to sort
+ * @returns {File[]} Sorted copy
+ */
+function sortGalleryFiles(files) {
+  const column = GALLERY_COLUMNS[galleryOptions.sort] || GALLERY_COLUMNS.name;
+  const direction = galleryOptions.direction === 'desc' ? -1 : 1;
+  const byPath = (a, b) => a.file.fullPath.localeCompare(b.file.fullPath, undefined, { numeric: true });
+  return files
+    .map(file => ({ file, value: column.value(file, searchIndex.byPath.get(file.fullPath)) }))
+    .sort((a, b) => {
+      const aMissing = a.value === null || a.value === undefined;
+      const bMissing = b.value === null || b.value === undefined;
+      if (aMissing || bMissing) return aMissing - bMissing || byPath(a, b);
+      const order = typeof a.value === 'string'
+        ? a.value.localeCompare(b.value, undefined, { numeric: true })
+        : a.value - b.value;
+      return order * direction || byPath(a, b);
+    })
+    .map(item => item.file);
+}
+
+/**
+ * Split sorted files into groups by subfolder or kernel (groups ordered by title)
+ * @param {File[]} files - Sorted files
+ * @returns {{title: string, files: File[]}[]} Groups
+ */
+function groupGalleryFiles(files) {
+  const groups = new Map();
+  files.forEach(file => {
+    let title;
+    if (galleryOptions.group === 'folder') {
+      title = file.fullPath.slice(0, file.fullPath.length - file.name.length).replace(/\/$/, '') || '/';
+    } else {
+      const entry = searchIndex.byPath.get(file.fullPath);
+      title = entry ? entry.kernelLabel || 'No kernel' : 'Indexing…';
+    }
+    if (!groups.has(title)) groups.set(title, []);
+    groups.get(title).push(file);
+  });
+  return [...groups.keys()]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(title => ({ title, files: groups.get(title) }));
+}
+
+/**
+ * Sort by a column; choosing the current sort column again flips the direction
+ * @param {string} key - A GALLERY_COLUMNS key
+ */
+function setGallerySort(key) {
+  if (galleryOptions.sort === key) {
+    galleryOptions.direction = galleryOptions.direction === 'asc' ? 'desc' : 'asc';
+  } else {
+    galleryOptions.sort = key;
+    galleryOptions.direction = 'asc';
+  }
+  renderFolderView(getCurrentNode());
+}
+
+/**
+ * Reflect galleryOptions in the gallery toolbar
+ */
+function updateGalleryToolbar() {
+  // The card view offers no tableOnly keys, except the one a table header click may have chosen
+  sortSelect.innerHTML = Object.entries(GALLERY_COLUMNS)
+    .filter(([key, column]) => galleryOptions.view === 'table' || !column.tableOnly || key === galleryOptions.sort)
+    .map(([key, column]) => `<option value="${key}">${escapeHtml(column.label)}</option>`).join('');
+  sortSelect.value = galleryOptions.sort;
+  groupSelect.value = galleryOptions.group;
+  viewSelect.value = galleryOptions.view;
+  sortDirectionBtn.textContent = galleryOptions.direction === 'asc' ? '▲' : '▼';
+  sortDirectionBtn.title = galleryOptions.direction === 'asc' ? 'Ascending' : 'Descending';
+}
+
+/**
+ * Check whether the gallery layout depends on search index facts
+ * @returns {boolean} True if the view must be refreshed once indexing completes
+ */
+function galleryUsesIndex() {
+  const column = GALLERY_COLUMNS[galleryOptions.sort];
+  return Boolean(column && column.index) || galleryOptions.group === 'kernel' || galleryOptions.view === 'table';
+}
+
+/**
+ * Read a file and fill its gallery card with the preview
+ * A card that was loaded before keeps its ID, so the viewer and navigation stay valid.
+ * @param {HTMLElement} card - The file card
+ * @param {File} file - The file shown by the card
+ */
+function loadFileCard(card, file) {
+  const type = getFileType(file.name);
+  const content = card.querySelector('.card-content');
+  getFileEntry(file).then(entry => {
+    try {
+      card.querySelectorAll('.card-badge').forEach(badge => badge.remove());
+      content.innerHTML = FILE_TYPES[type].preview(entry.raw, card, entry.preview || undefined);
+      // Highlight code and typeset math after DOM update
+      highlightCodeInContainer(content);
+      renderMathInContainer(content);
+      registerFileItem(card, file, entry.raw);
+    } catch (err) {
+      content.textContent = 'Error parsing';
+    }
+  }, () => {
+    content.textContent = 'Error reading';
+  });
+}
+
+/**
+ * Metadata of a loaded file, as stored in cardMap
+ * @param {File} file - The file
+ * @param {string} raw - The file contents
+ * @returns {{filename: string, path: string, raw: string, size: number, stamp: string, type: string}} Metadata
+ */
+function createCardMeta(file, raw) {
+  return { filename: file.name, path: file.fullPath, raw, size: file.size, stamp: getFileStamp(file), type: getFileType(file.name) };
+}
+
+/**
+ * Register a loaded gallery item (card or table row) for viewing, navigation and compare
+ * @param {HTMLElement} item - The card or row
+ * @param {File} file - The file it shows
+ * @param {string} raw - The file contents
+ */
+function registerFileItem(item, file, raw) {
+  const id = file.fullPath; // Stable across re-renders of the gallery
+  item.dataset.cardId = id; // Store ID for navigation
+  cardMap.set(id, createCardMeta(file, raw));
+  item.onclick = e => handleCardClick(e, id);
+  item.classList.toggle('selected', compareSelection.some(sel => sel.path === file.fullPath));
+  if (updatedPaths.has(file.fullPath)) {
+    addCardBadge(item, 'updated', 'updated', 'Changed on disk since it was loaded');
+  }
+}
+
+// ============================================================================
+// Ignore Rules and Load Progress
+// ============================================================================
+
+/**
+ * Compile gitignore-style patterns
+ * Supported: `#` comments, `!` negation, trailing `/` (directories only), leading or
+ * inner `/` (anchored to the base folder), `*`, `?` and `**`.
+ * @param {string} text - One pattern per line
+ * @param {string} base - Folder the patterns are relative to ('' or ending with '/')
+ * @returns {{base: string, regex: RegExp, negate: boolean, dirOnly: boolean}[]} Rules
+ */
+function parseIgnoreRules(text, base) {
+  const rules = [];
+  text.split(/\r?\n/).forEach(line => {
+    let pattern = line.trim();
+    if (!pattern || pattern.startsWith('#')) return;
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) return;
+    const glob = pattern
+      .split(/(\/\*\*\/|\*\*\/|\/\*\*|\*|\?)/)
+      .map(part => {
+        if (part === '/**/') return '/(?:.*/)?';
+        if (part === '**/') return '(?:.*/)?';
+        if (part === '/**') return '/.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    rules.push({ base, regex: new RegExp(anchored ? `^${glob}$` : `^(?:.*/)?${glob}$`), negate, dirOnly });
+  });
+  return rules;
+}
+
+/**
+ * Check a path against ignore rules (the last matching rule wins, as in git)
+ * @param {string} path - Path of the file or folder, without trailing slash
+ * @param {boolean} isDir - Whether the path is a folder
+ * @param {Object[]} rules - Rules from parseIgnoreRules()
+ * @returns {boolean} True if the path is ignored
+ */
+function isIgnoredPath(path, isDir, rules) {
+  let ignored = false;
+  rules.forEach(rule => {
+    if (rule.dirOnly && !isDir) return;
+    if (!path.startsWith(rule.base)) return;
+    if (rule.regex.test(path.slice(rule.base.length))) ignored = !rule.negate;
+  });
+  return ignored;
+}
+
+/**
+ * Drop ignored files from a loaded file list
+ * Applies the UI rules and every `.gitignore` in the list (folder picker and archives
+ * deliver flat lists); a file is ignored when it or one of its folders is.
+ * @param {File[]} files - Files with normalized paths
+ * @param {Object} load - The load in progress (ignored counter)
+ * @returns {Promise<File[]>} Files to show (without the .gitignore files)
+ */
+async function filterIgnoredFiles(files, load) {
+  let rules = parseIgnoreRules(ignoreInput.value, '');
+  const gitignores = files.filter(f => f.name === '.gitignore');
+  for (const f of gitignores) {
+    const path = normalizeFilePath(f);
+    rules = rules.concat(parseIgnoreRules(await readFileText(f), path.slice(0, path.length - f.name.length)));
+  }
+  return files.filter(f => {
+    if (f.name === '.gitignore') return false;
+    const parts = normalizeFilePath(f).split('/');
+    for (let i = 1; i < parts.length; i++) {
+      if (isIgnoredPath(parts.slice(0, i).join('/'), true, rules)) {
+        load.ignored++;
+        return false;
+      }
+    }
+    if (isIgnoredPath(parts.join('/'), false, rules)) {
+      load.ignored++;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Start a load and show the progress overlay (a previous load still running is cancelled)
+ * @returns {Object} The new load
+ */
+function beginLoad() {
+  if (activeLoad) activeLoad.cancelled = true;
+  stopLiveFolder();
+  activeLoad = { cancelled: false, files: 0, folders: 0, ignored: 0, unreadable: [], status: 'Scanning', lastUpdate: 0 };
+  loadProgress.style.display = 'flex';
+  updateLoadProgress(true);
+  return activeLoad;
+}
+
+/**
+ * Finish a load and hide the progress overlay
+ * @param {Object} load - The load that ended
+ */
+function endLoad(load) {
+  if (activeLoad !== load) return;
+  activeLoad = null;
+  loadProgress.style.display = 'none';
+}
+
+/**
+ * Refresh the progress overlay text (throttled to PROGRESS_UPDATE_INTERVAL)
+ * @param {boolean} [force] - Update even if the last update was very recent
+ */
+function updateLoadProgress(force = false) {
+  const load = activeLoad;
+  if (!load) return;
+  const now = performance.now();
+  if (!force && now - load.lastUpdate < PROGRESS_UPDATE_INTERVAL) return;
+  load.lastUpdate = now;
+  const skipped = [
+    load.ignored ? `${load.ignored.toLocaleString()} ignored` : '',
+    load.unreadable.length ? `${load.unreadable.length.toLocaleString()} unreadable` : ''
+  ].filter(Boolean).join(', ');
+  loadProgressText.textContent =
+    `${load.status}… ${load.files.toLocaleString()} files in ${load.folders.toLocaleString()} folders${skipped ? ` (${skipped})` : ''}`;
+}
+
+// ============================================================================
+// Live Folder Watching
+// ============================================================================
+
+/**
+ * Let the user pick a folder and show it in live mode
+ * The directory handle is kept (in memory only) and re-scanned every LIVE_POLL_INTERVAL
+ * and when the window regains focus, so edits made elsewhere show up without re-dropping.
+ * SECURITY: Read-only access to the picked folder - never transmits data
+ */
+async function openLiveFolder() {
+  let handle;
+  try {
+    handle = await window.showDirectoryPicker({ mode: 'read' });
+  } catch (err) {
+    if (err.name !== 'AbortError') alert(`Could not open the folder: ${err.message}`);
+    return;
+  }
+  const load = beginLoad();
+  let files;
+  try {
+    files = await scanDirectoryHandle(handle, load);
+  } catch (err) {
+    endLoad(load);
+    alert(`Could not read the folder: ${err.message}`);
+    return;
+  }
+  if (load.cancelled) {
+    endLoad(load);
+    return;
+  }
+  const archives = new Map();
+  if (!(await loadFiles(files, load, archives))) return;
+  const list = collectFiles(folderStructure);
+  updatedPaths.clear();
+  liveFolder = { handle, files: list, stamps: getFileStamps(list), archives, timer: 0, scanning: false };
+  liveFolder.timer = setInterval(pollLiveFolder, LIVE_POLL_INTERVAL);
+  liveStatus.textContent = `● Live: ${handle.name}`;
+  liveStatus.style.display = '';
+}
+
+/**
+ * Stop watching the live folder (the gallery keeps its current content)
+ */
+function stopLiveFolder() {
+  if (!liveFolder) return;
+  clearInterval(liveFolder.timer);
+  liveFolder = null;
+  liveStatus.style.display = 'none';
+}
+
+/**
+ * Scan a directory handle recursively, with the same ignore rules as dropped folders
+ * @param {FileSystemDirectoryHandle} root - The picked folder
+ * @param {Object} load - The load in progress (counters and cancel flag)
+ * @returns {Promise<File[]>} Supported files and archives, sorted by path
+ */
+async function scanDirectoryHandle(root, load) {
+  const files = [];
+  const limit = createLimiter(SCAN_CONCURRENCY);
+  const rules = parseIgnoreRules(ignoreInput.value, '');
+
+  const walk = async (dir, path, dirRules) => {
+    if (load.cancelled) return;
+    const entries = await limit(async () => {
+      const list = [];
+      for await (const entry of dir.values()) list.push(entry);
+      return list;
+    });
+    load.folders++;
+    updateLoadProgress();
+
+    const gitignore = entries.find(entry => entry.kind === 'file' && entry.name === '.gitignore');
+    if (gitignore) {
+      const text = await limit(async () => readFileText(await gitignore.getFile()));
+      dirRules = dirRules.concat(parseIgnoreRules(text, path));
+    }
+
+    await Promise.all(entries.map(async entry => {
+      if (entry.name.startsWith('._')) return;
+      const isDir = entry.kind === 'directory';
+      if (isIgnoredPath(path + entry.name, isDir, dirRules)) {
+        load.ignored++;
+        return;
+      }
+      if (isDir) {
+        await walk(entry, `${path}${entry.name}/`, dirRules);
+      } else if (getFileType(entry.name) || getArchiveFormat(entry.name)) {
+        const file = await limit(() => entry.getFile());
+        file.fullPath = path + entry.name;
+        files.push(file);
+        load.files++;
+        updateLoadProgress();
+      }
+    }));
+  };
+
+  await walk(root, `${root.name}/`, rules);
+  return files.sort((a, b) => a.fullPath.localeCompare(b.fullPath, undefined, { numeric: true }));
+}
+
+/**
+ * Fingerprint files by modification time and size
+ * @param {File[]} files - Files with normalized paths
+ * @returns {Map<string, string>} Path → "lastModified:size"
+ */
+function getFileStamps(files) {
+  return new Map(files.map(f => [f.fullPath, getFileStamp(f)]));
+}
+
+/**
+ * Re-scan the live folder and apply what changed on disk
+ * Skipped while the page is hidden or a previous scan is still running.
+ */
+async function pollLiveFolder() {
+  const live = liveFolder;
+  if (!live || live.scanning || document.hidden) return;
+  live.scanning = true;
+  try {
+    // A load that is never shown: the overlay only tracks user-started loads
+    const load = { cancelled: false, files: 0, folders: 0, ignored: 0, unreadable: [], status: '', lastUpdate: 0 };
+    const scanned = await scanDirectoryHandle(live.handle, load);
+    const files = await prepareFiles(scanned, [], load, live.archives);
+    if (liveFolder !== live) return;
+    // Forget archives that are gone from the folder
+    const scannedPaths = new Set(scanned.map(f => f.fullPath));
+    [...live.archives.keys()].filter(path => !scannedPaths.has(path)).forEach(path => live.archives.delete(path));
+    const stamps = getFileStamps(files);
+    const changed = [...stamps].filter(([path, stamp]) => live.stamps.has(path) && live.stamps.get(path) !== stamp).map(([path]) => path);
+    const added = [...stamps.keys()].filter(path => !live.stamps.has(path));
+    const removed = [...live.stamps.keys()].filter(path => !stamps.has(path));
+    if (changed.length || added.length || removed.length) {
+      live.files = files;
+      live.stamps = stamps;
+      await applyLiveChanges(files, changed, added, removed);
+    }
+  } catch (err) {
+    if (debugMode) console.log('[pollLiveFolder] Scan failed:', err);
+  } finally {
+    live.scanning = false;
+  }
+}
+
+/**
+ * Update the gallery, cardMap, search index and viewer after a live re-scan
+ * Cards of changed files are refreshed in place and flagged "updated"; the folder view is
+ * only re-rendered when files were added or removed. currentPath is kept, or shortened
+ * to the deepest folder that still exists.
+ * @param {File[]} files - All files now in the folder
+ * @param {string[]} changed - Paths of modified files
+ * @param {string[]} added - Paths of new files
+ * @param {string[]} removed - Paths of deleted files
+ */
+async function applyLiveChanges(files, changed, added, removed) {
+  [...changed, ...added].forEach(path => updatedPaths.add(path));
+  removed.forEach(path => updatedPaths.delete(path));
+  const byPath = new Map(files.map(f => [f.fullPath, f]));
+
+  // Fresh contents for the viewer and navigation
+  for (const path of changed) {
+    const raw = await readFileText(byPath.get(path));
+    cardMap.forEach(meta => {
+      if (meta.path === path) Object.assign(meta, createCardMeta(byPath.get(path), raw));
+    });
+  }
+
+  folderStructure = buildTree(files);
+  let node = folderStructure;
+  const keep = [];
+  for (const name of currentPath) {
+    if (!node[name]) break;
+    node = node[name];
+    keep.push(name);
+  }
+  const folderGone = keep.length !== currentPath.length;
+  currentPath = keep;
+
+  if (added.length || removed.length || folderGone || galleryOptions.view === 'table') {
+    renderTypeFilters(files);
+    renderFolderView(getCurrentNode());
+  } else {
+    gallery.querySelectorAll('.card:not(.folder)').forEach(card => {
+      if (changed.includes(card.dataset.path)) loadFileCard(card, byPath.get(card.dataset.path));
+    });
+  }
+  buildSearchIndex(files);
+
+  // Re-render the file open in the viewer in place, keeping the scroll position
+  const openMeta = currentCardIndex === -1 ? null : cardMap.get(navigationCardIds[currentCardIndex]);
+  if (modal.style.display === 'block' && openMeta && changed.includes(openMeta.path)) {
+    const scrollTop = modal.scrollTop;
+    loadNotebookInModal(openMeta);
+    modal.scrollTop = scrollTop;
+    markSeen(openMeta.path);
+  }
+}
+
+// ============================================================================
+// Archive Reading
+// ============================================================================
+
+/**
+ * Get the archive format of a file name
+ * @param {string} filename - The file name
+ * @returns {string|null} 'zip', 'tar.gz' or 'tar', or null if it is not an archive
+ */
+function getArchiveFormat(filename) {
+  const lower = filename.toLowerCase();
+  const suffix = Object.keys(ARCHIVE_FORMATS).find(ext => lower.endsWith(ext));
+  return suffix ? ARCHIVE_FORMATS[suffix] : null;
+}
+
+/**
+ * Replace archives in a file list by the supported files they contain
+ * Archive members become virtual File objects whose fullPath places them in a folder
+ * named after the archive, so buildTree() shows the archive like a dropped directory.
+ * Archives inside archives are opened up to MAX_ARCHIVE_DEPTH levels; deeper ones are reported as failures.
+ * With a cache, a top-level archive whose stamp is unchanged reuses its members instead of
+ * being read again, and newly opened archives are added to the cache.
+ * SECURITY: Archives are decompressed locally (DecompressionStream) - never transmitted
+ * @param {File[]} files - Files, some of which may be archives
+ * @param {string[]} failures - Receives "name: reason" for archives that could not be read
+ * @param {Object} load - The load in progress (progress status and cancel flag)
+ * @param {number} [depth] - Current nesting level
+ * @param {Map<string, {stamp: string, members: File[]}>|null} [cache] - Members of top-level archives by path
+ * @returns {Promise<File[]>} Files with archives expanded
+ */
+async function expandArchives(files, failures, load, depth = 0, cache = null) {
+  const result = [];
+  for (const file of files) {
+    if (load.cancelled) break;
+    const format = getArchiveFormat(file.name);
+    if (!format) {
+      result.push(file);
+      continue;
+    }
+    const archivePath = normalizeFilePath(file);
+    if (depth >= MAX_ARCHIVE_DEPTH) {
+      failures.push(`${archivePath}: nested too deeply (more than ${MAX_ARCHIVE_DEPTH} archives inside each other)`);
+      continue;
+    }
+    const stamp = getFileStamp(file);
+    const cached = cache && cache.get(archivePath);
+    if (cached && cached.stamp === stamp) {
+      result.push(...cached.members);
+      continue;
+    }
+    load.status = `Opening ${archivePath}`;
+    updateLoadProgress(true);
+    try {
+      const bytes = await readFileBytes(file);
+      const entries = format === 'zip' ? await readZipEntries(bytes) : await readTarEntries(bytes, format === 'tar.gz');
+      const members = entries.map(({ path, data }) => {
+        const name = path.split('/').pop();
+        // Members inherit the archive's date so live re-scans see them as unchanged
+        const member = new File([data], name, { lastModified: file.lastModified });
+        member.fullPath = `${archivePath}/${path}`;
+        return member;
+      });
+      load.files += members.length;
+      const expanded = await expandArchives(members, failures, load, depth + 1);
+      if (cache && !load.cancelled) cache.set(archivePath, { stamp, members: expanded });
+      result.push(...expanded);
+    } catch (err) {
+      failures.push(`${archivePath}: ${err.message}`);
+      // An unreadable archive is not retried until it changes
+      if (cache) cache.set(archivePath, { stamp, members: [] });
+    }
+  }
+  return result;
+}
+
+/**
+ * Check whether an archive member should be extracted (supported files and archives only)
+ * @param {string} path - Member path inside the archive
+ * @returns {boolean} True if the member is worth extracting
+ */
+function isWantedArchiveMember(path) {
+  const name = path.split('/').pop();
+  if (!name || name.startsWith('._') || path.startsWith('__MACOSX/')) return false;
+  return Boolean(getFileType(name) || getArchiveFormat(name) || name === '.gitignore');
+}
+
+/**
+ * Run bytes through a native DecompressionStream
+ * The output is read chunk by chunk and decompression stops as soon as it passes the
+ * limit, so sizes declared in archive headers cannot hide a decompression bomb.
+ * @param {Uint8Array} bytes - Compressed data
+ * @param {'deflate-raw'|'gzip'} format - Compression format
+ * @param {number} limit - Largest output accepted, in bytes
+ * @returns {Promise<Uint8Array|null>} Decompressed data, or null if it is larger than the limit
+ */
+async function decompressBytes(bytes, format, limit) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('this browser cannot decompress archives (no DecompressionStream)');
+  }
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const data = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return data;
+}
+
+/**
+ * Read the supported members of a ZIP archive through its central directory
+ * Stored and deflated members are supported (ZIP64 included); encrypted members and
+ * other compression methods are skipped.
+ * @param {Uint8Array} bytes - The archive
+ * @returns {Promise<{path: string, data: Uint8Array}[]>} Extracted members
+ */
+async function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // End of central directory record: at the end, before a comment of up to 64 KiB
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('not a ZIP archive');
+
+  let count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if ((count === 0xffff || offset === 0xffffffff) && eocd >= 20 && view.getUint32(eocd - 20, true) === 0x07064b50) {
+    const zip64 = Number(view.getBigUint64(eocd - 12, true));
+    count = Number(view.getBigUint64(zip64 + 32, true));
+    offset = Number(view.getBigUint64(zip64 + 48, true));
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('corrupt central directory');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    let compressedSize = view.getUint32(offset + 20, true);
+    let size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    let localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    // ZIP64 extra field holds the values that did not fit in 32 bits, in this order
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        const next = () => {
+          const value = Number(view.getBigUint64(field, true));
+          field += 8;
+          return value;
+        };
+        if (size === 0xffffffff) size = next();
+        if (compressedSize === 0xffffffff) compressedSize = next();
+        if (localOffset === 0xffffffff) localOffset = next();
+      }
+      extra += 4 + length;
+    }
+    offset = extraEnd + commentLength;
+
+    if (path.endsWith('/') || !isWantedArchiveMember(path)) continue;
+    if ((flags & 1) || (method !== 0 && method !== 8) || size > MAX_ARCHIVE_ENTRY_SIZE) {
+      if (debugMode) console.log('[readZipEntries] Skipping', path, 'method', method, 'flags', flags);
+      continue;
+    }
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+    const room = MAX_ARCHIVE_TOTAL_SIZE - total;
+    const data = method === 8 ? await decompressBytes(compressed, 'deflate-raw', Math.min(MAX_ARCHIVE_ENTRY_SIZE, room)) : compressed;
+    if (!data || data.length > room) {
+      // The declared size was wrong: the member alone, or the archive as a whole, is too large
+      if (room <= MAX_ARCHIVE_ENTRY_SIZE) throw new Error(`more than ${formatBytes(MAX_ARCHIVE_TOTAL_SIZE)} once decompressed`);
+      if (debugMode) console.log('[readZipEntries] Skipping', path, 'larger than declared');
+      continue;
+    }
+    total += data.length;
+    entries.push({ path, data });
+  }
+  return entries;
+}
+
+/**
+ * Read the supported regular files of a (optionally gzipped) tar archive
+ * ustar prefixes, GNU long names and pax `path` records are honored.
+ * @param {Uint8Array} bytes - The archive
+ * @param {boolean} gzipped - Whether the archive is gzip compressed
+ * @returns {Promise<{path: string, data: Uint8Array}[]>} Extracted members
+ */
+async function readTarEntries(bytes, gzipped) {
+  const tar = gzipped ? await decompressBytes(bytes, 'gzip', MAX_ARCHIVE_TOTAL_SIZE) : bytes;
+  if (!tar) throw new Error(`more than ${formatBytes(MAX_ARCHIVE_TOTAL_SIZE)} once decompressed`);
+  const decoder = new TextDecoder();
+  const text = (start, length) => decoder.decode(tar.subarray(start, start + length)).replace(/\0.*$/s, '');
+  const entries = [];
+  let longName = null;
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const name = text(offset, 100);
+    if (!name) break; // Two zero blocks end the archive
+    const size = parseInt(text(offset + 124, 12).trim() || '0', 8);
+    if (Number.isNaN(size)) throw new Error('corrupt tar header');
+    const type = String.fromCharCode(tar[offset + 156]);
+    const prefix = text(offset + 257, 6).startsWith('ustar') ? text(offset + 345, 155) : '';
+    const dataStart = offset + 512;
+    const data = tar.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = decoder.decode(data).replace(/\0.*$/s, '');
+      continue;
+    }
+    if (type === 'x') {
+      const match = decoder.decode(data).match(/^\d+ path=(.*)$/m);
+      if (match) longName = match[1];
+      continue;
+    }
+    const path = (longName || (prefix ? `${prefix}/${name}` : name)).replace(/^\.\//, '');
+    longName = null;
+    if ((type === '0' || type === '\0') && isWantedArchiveMember(path) && size <= MAX_ARCHIVE_ENTRY_SIZE) {
+      entries.push({ path, data });
+    }
+  }
+  return entries;
+}
+
+// ============================================================================
+// Breadcrumb Navigation
+// ============================================================================
+
+/**
+ * Update the breadcrumb trail based on currentPath
+ */
+function updateBreadcrumbs() {
+  breadcrumbs.innerHTML = '';
+  const root = document.createElement('button');
+  root.type = 'button';
+  root.textContent = '🏠 root';
+  root.className = 'breadcrumb-item plain-button';
+  if (!currentPath.length) root.setAttribute('aria-current', 'location');
+  root.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    currentPath = [];
+    renderFolderView(folderStructure);
+  };
+  breadcrumbs.appendChild(root);
+  
+  currentPath.forEach((seg, i) => {
+    const arrow = document.createElement('span');
+    arrow.setAttribute('aria-hidden', 'true');
+    arrow.textContent = ' → ';
+    breadcrumbs.appendChild(arrow);
+    
+    const span = document.createElement('button');
+    span.type = 'button';
+    span.className = 'breadcrumb-item plain-button';
+    span.textContent = seg;
+    if (i === currentPath.length - 1) span.setAttribute('aria-current', 'location');
+    span.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      currentPath = currentPath.slice(0, i + 1);
+      let node = folderStructure;
+      for (const p of currentPath) {
+        if (node && node[p]) {
+          node = node[p];
+        } else {
+          console.warn('Path segment not found:', p, 'in path:', currentPath);
+          // Fall back to root if path is invalid
+          currentPath = [];
+          node = folderStructure;
+          break;
+        }
+      }
+      renderFolderView(node);
+    };
+    breadcrumbs.appendChild(span);
+  });
+}
+
+// ============================================================================
+// Modal Viewer Functions
+// ============================================================================
+
+/**
+ * Close the modal viewer and reset navigation state
+ */
+function closeModal() {
+  const viewed = getViewerMeta();
+  modal.style.display = 'none';
+  document.body.classList.remove('viewer-open');
+  stopViewerRendering();
+  viewerHighlight = null;
+  viewerBody.innerHTML = '';
+  viewerStats.innerHTML = '';
+  viewerDiagnostics.innerHTML = '';
+  viewerToc.innerHTML = '';
+  viewerHeadings = [];
+  currentCardIndex = -1;
+  navigationCardIds = [];
+  viewerRouteCell = null;
+  syncRoute();
+
+  // Give the focus to the card of the file last viewed, or back to where it was
+  const card = viewed && getGalleryItems().find(item => item.dataset.path === viewed.path);
+  if (card) {
+    dialogReturnFocus.delete(modal);
+    setGalleryFocus(card);
+  } else {
+    restoreDialogFocus(modal);
+  }
+}
+
+/**
+ * Clear the "updated" flag of a file once it has been looked at
+ * @param {string} path - Path of the file
+ */
+function markSeen(path) {
+  if (!updatedPaths.delete(path)) return;
+  gallery.querySelectorAll(FILE_ITEM_SELECTOR).forEach(card => {
+    if (card.dataset.path === path) card.querySelectorAll('.card-badge.updated').forEach(badge => badge.remove());
+  });
+}
+
+/**
+ * Show the modal viewer; the body class lets the print stylesheet print only the viewer
+ */
+function showModal() {
+  if (modal.style.display === 'block') return;
+  modal.style.display = 'block';
+  document.body.classList.add('viewer-open');
+  focusDialog(modal, viewerTitle);
+}
+
+/**
+ * Get all available card IDs from the current gallery view, in display order
+ * (so ← → follow the chosen sort, grouping and view)
+ * @returns {string[]} Array of card IDs in the current view
+ */
+function getAllCardIds() {
+  const cardIds = [];
+  gallery.querySelectorAll(FILE_ITEM_SELECTOR).forEach(card => {
+    // Get card ID from onclick handler (stored in the card element)
+    if (card.dataset.cardId) {
+      cardIds.push(card.dataset.cardId);
+    }
+  });
+  return cardIds;
+}
+
+/**
+ * Open the modal viewer for a specific file
+ * @param {string} cardId - The unique ID of the card to display
+ * @param {Object} [options] - Optional position in the file
+ * @param {number} [options.cell] - Index of the notebook cell to scroll to
+ * @param {RegExp} [options.highlight] - Search matches to highlight
+ */
+function openNotebookModal(cardId, options = {}) {
+  const meta = cardMap.get(cardId);
+  if (!meta || !confirmLargeFile(meta)) return;
+  markSeen(meta.path);
+
+  // Get all card IDs for navigation; files opened from outside the
+  // current folder (e.g. from search results) are navigated on their own
+  navigationCardIds = getAllCardIds();
+  currentCardIndex = navigationCardIds.indexOf(cardId);
+  if (currentCardIndex === -1) {
+    navigationCardIds = [cardId];
+    currentCardIndex = 0;
+  }
+
+  viewerHighlight = options.highlight || null;
+  loadNotebookInModal(meta);
+  updateNavigationButtons();
+  announceViewerFile(meta);
+
+  showModal();
+  viewerRouteCell = Number.isInteger(options.cell) ? options.cell : null;
+  syncRoute();
+  
+  // Scroll to top, or to the requested cell / first highlighted term
+  modal.scrollTop = 0;
+  scrollViewerTo(options.cell);
+  prefetchNeighbours();
+}
+
+/**
+ * Scroll the viewer to a notebook cell, or to the first search highlight
+ * Cells render lazily, so without a cell index the first cell of the notebook that
+ * matches the highlight is rendered and used.
+ * @param {number} [cellIndex] - Index of the cell to bring into view
+ */
+function scrollViewerTo(cellIndex) {
+  if (!Number.isInteger(cellIndex)) cellIndex = findHighlightedCell();
+  const cell = Number.isInteger(cellIndex)
+    ? viewerBody.querySelector(`.viewer-cell[data-cell-index="${cellIndex}"]`)
+    : null;
+  if (cell) renderViewerCell(cell);
+  const target = (cell || viewerBody).querySelector('mark.search-hit') || cell;
+  if (target) target.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Find the first cell of the notebook in the viewer whose source or output text
+ * matches the search highlight
+ * @returns {number|undefined} Cell index, undefined if there is none (or no notebook)
+ */
+function findHighlightedCell() {
+  if (!viewerNotebook || !viewerHighlight) return undefined;
+  const index = (viewerNotebook.nb.cells || []).findIndex(c =>
+    [multilineString(c.source), ...(c.outputs || []).map(outputSearchText)]
+      .some(text => nextMatch(viewerHighlight, text, 0) !== null));
+  return index === -1 ? undefined : index;
+}
+
+/**
+ * Load notebook content into the modal
+ * @param {Object} meta - The file metadata
+ */
+function loadNotebookInModal(meta) {
+  viewerTitle.textContent = meta.filename;
+  stopViewerRendering();
+
+  // Notebooks render lazily, cell by cell; other files at once
+  const nb = getCachedNotebook(meta);
+  let html = '';
+  let diagnostics = nb ? notebookDiagnostics.get(nb) : undefined;
+  if (!nb) {
+    try {
+      html = FILE_TYPES[meta.type].full(meta.raw);
+    } catch (err) {
+      diagnostics = { problems: [{ where: '', message: `Could not render this file: ${err.message}` }], jsonError: null };
+    }
+  }
+  updateConvertButton(meta);
+  viewerStats.innerHTML = renderViewerStats(nb);
+  viewerDiagnostics.innerHTML = renderDiagnostics(diagnostics, meta.raw);
+  if (nb) {
+    renderNotebookInViewer(nb);
+  } else {
+    viewerBody.innerHTML = html;
+    highlightCodeInContainer(viewerBody);
+    renderMathInContainer(viewerBody);
+    if (viewerHighlight) highlightTermsInContainer(viewerBody, viewerHighlight);
+  }
+  buildOutline();
+}
+
+/**
+ * Show a notebook in the viewer, rendering cells as they come near the visible area
+ * Markdown cells are rendered up front so the outline and heading jumps work; code
+ * cells start as placeholders sized from their content. Highlighting and math are
+ * applied to each cell when it becomes visible.
+ * @param {Object} nb - The notebook object
+ */
+function renderNotebookInViewer(nb) {
+  const language = getNotebookLanguage(nb);
+  const lint = groupLintByCell(nb);
+  viewerBody.innerHTML = (nb.cells || []).map((c, i) => (c.cell_type === 'code'
+    ? renderNotebookCell(c, i, '', 'pending placeholder', estimateCellHeight(c))
+    : renderNotebookCell(c, i, renderCellBody(c, language, lint.get(i)), 'pending'))).join('');
+
+  const observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) renderViewerCell(entry.target);
+    });
+  }, { root: modal, rootMargin: `${VIEWER_RENDER_MARGIN}px 0px` });
+  viewerNotebook = { nb, language, lint, observer };
+  viewerBody.querySelectorAll('.viewer-cell.pending').forEach(el => observer.observe(el));
+}
+
+/**
+ * Rough height (em) of a code cell, reserved by its placeholder until it is rendered
+ * @param {Object} c - The code cell
+ * @returns {number} Height in em
+ */
+function estimateCellHeight(c) {
+  const lines = multilineString(c.source).split('\n').length;
+  return 2 + Math.min(lines, OUTPUT_COLLAPSE_LINES) * 1.4 + (c.outputs || []).length * 6;
+}
+
+/**
+ * Finish a viewer cell: fill in a placeholder, then highlight code, typeset math and mark search terms
+ * @param {HTMLElement} el - The .viewer-cell element
+ */
+function renderViewerCell(el) {
+  if (!viewerNotebook || !el.classList.contains('pending')) return;
+  el.classList.remove('pending');
+  viewerNotebook.observer.unobserve(el);
+  if (el.classList.contains('placeholder')) {
+    const i = Number(el.dataset.cellIndex);
+    const { nb, language, lint } = viewerNotebook;
+    el.querySelector('.cell-body').innerHTML = renderCellBody(nb.cells[i], language, lint.get(i));
+    el.classList.remove('placeholder');
+    el.style.minHeight = '';
+  }
+  highlightCodeInContainer(el);
+  renderMathInContainer(el);
+  if (viewerHighlight) highlightTermsInContainer(el, viewerHighlight);
+}
+
+/**
+ * Render every remaining cell of the viewer (before export or print)
+ */
+function renderAllViewerCells() {
+  viewerBody.querySelectorAll('.viewer-cell.pending').forEach(renderViewerCell);
+}
+
+/**
+ * Stop lazy rendering of the notebook in the viewer
+ */
+function stopViewerRendering() {
+  if (viewerNotebook) viewerNotebook.observer.disconnect();
+  viewerNotebook = null;
+}
+
+/**
+ * Replace a collapsed output of the viewer by the complete output
+ * @param {HTMLElement} button - The "show more" button that was clicked
+ */
+function expandViewerOutput(button) {
+  const wrapper = button.closest('.out-collapsed');
+  const cell = button.closest('.viewer-cell');
+  if (!viewerNotebook || !wrapper || !cell) return;
+  const c = viewerNotebook.nb.cells[Number(cell.dataset.cellIndex)];
+  const holder = document.createElement('div');
+  holder.innerHTML = renderOutput(c.outputs[Number(wrapper.dataset.outputIndex)]);
+  highlightCodeInContainer(holder);
+  renderMathInContainer(holder);
+  if (viewerHighlight) highlightTermsInContainer(holder, viewerHighlight);
+  wrapper.replaceWith(...holder.childNodes);
+}
+
+/**
+ * Ask before opening a file larger than largeFileWarningBytes
+ * @param {Object} meta - Card metadata of the file
+ * @returns {boolean} True if the file may be opened
+ */
+function confirmLargeFile(meta) {
+  const size = meta.size !== undefined ? meta.size : meta.raw.length;
+  if (!largeFileWarningBytes || size <= largeFileWarningBytes) return true;
+  return confirm(`${meta.filename} is ${formatBytes(size)}. Opening it may slow down the page for a while. Open it anyway?`);
+}
+
+/**
+ * Prepare the viewer for a panel that is not a single file (diff, stats)
+ * Navigation, format conversion, the outline and file stats are turned off.
+ * @param {string} title - Panel title
+ */
+function openViewerPanel(title) {
+  stopViewerRendering();
+  viewerHighlight = null;
+  navigationCardIds = [];
+  currentCardIndex = -1;
+  updateNavigationButtons();
+  updateConvertButton(null);
+  viewerTitle.textContent = title;
+  viewerStats.innerHTML = '';
+  viewerDiagnostics.innerHTML = '';
+  viewerToc.innerHTML = '';
+  viewerToc.style.display = 'none';
+  viewerHeadings = [];
+}
+
+/**
+ * Navigate to the previous file in the gallery
+ */
+function navigatePrevious() {
+  if (currentCardIndex > 0 && !prevButton.disabled) {
+    navigateTo(currentCardIndex - 1);
+  }
+}
+
+/**
+ * Navigate to the next file in the gallery
+ */
+function navigateNext() {
+  if (currentCardIndex < navigationCardIds.length - 1 && !nextButton.disabled) {
+    navigateTo(currentCardIndex + 1);
+  }
+}
+
+/**
+ * Show another file of the navigation list in the viewer
+ * @param {number} index - Position in navigationCardIds
+ */
+function navigateTo(index) {
+  const meta = cardMap.get(navigationCardIds[index]);
+  if (!meta || !confirmLargeFile(meta)) return;
+  currentCardIndex = index;
+  viewerHighlight = null;
+  loadNotebookInModal(meta);
+  updateNavigationButtons();
+  announceViewerFile(meta);
+  modal.scrollTop = 0;
+  viewerRouteCell = null;
+  syncRoute();
+  prefetchNeighbours();
+}
+
+/**
+ * Parse the files before and after the one in the viewer ahead of time, so ← → show them at once
+ */
+function prefetchNeighbours() {
+  const ids = [navigationCardIds[currentCardIndex - 1], navigationCardIds[currentCardIndex + 1]];
+  setTimeout(() => {
+    ids.forEach(id => {
+      const meta = cardMap.get(id);
+      if (meta) getCachedNotebook(meta);
+    });
+  }, PREFETCH_DELAY);
+}
+
+/**
+ * Update navigation button state based on current position
+ */
+function updateNavigationButtons() {
+  if (prevButton && nextButton) {
+    const hasPrev = currentCardIndex > 0;
+    const hasNext = currentCardIndex < navigationCardIds.length - 1;
+    
+    prevButton.disabled = !hasPrev;
+    prevButton.classList.toggle('disabled', !hasPrev);
+    
+    nextButton.disabled = !hasNext;
+    nextButton.classList.toggle('disabled', !hasNext);
+  }
+}
+
+// ============================================================================
+// URL Hash Routing
+// ============================================================================
+
+/**
+ * Open a loaded file in the viewer
+ * Uses its gallery card when it is in the current folder (so ← → navigation works),
+ * otherwise reads the file and opens it on its own.
+ * @param {File} file - A loaded file
+ * @param {Object} [options] - Position in the file, see openNotebookModal()
+ * @returns {Promise} Promise that resolves once the file is shown
+ */
+async function openFileInViewer(file, options = {}) {
+  const meta = cardMap.get(file.fullPath);
+  if (!meta || meta.stamp !== getFileStamp(file)) {
+    let entry;
+    try {
+      entry = await getFileEntry(file);
+    } catch (err) {
+      alert('Could not read ' + file.fullPath);
+      return;
+    }
+    cardMap.set(file.fullPath, createCardMeta(file, entry.raw));
+  }
+  openNotebookModal(file.fullPath, options);
+}
+
+/**
+ * Get the metadata of the single file shown in the viewer
+ * @returns {Object|null} Card metadata, or null when the viewer is closed or shows a diff
+ */
+function getViewerMeta() {
+  if (modal.style.display !== 'block' || currentCardIndex === -1) return null;
+  return cardMap.get(navigationCardIds[currentCardIndex]) || null;
+}
+
+/**
+ * Encode the navigation state as a URL fragment
+ * e.g. `path=proj/src&file=proj/src/train.ipynb&cell=12` (cells are numbered from 1,
+ * as in the viewer gutter). Only paths are encoded, never file contents.
+ * @returns {string} Fragment without '#' ('' when nothing is loaded)
+ */
+function buildRouteHash() {
+  if (!Object.keys(folderStructure).length) return '';
+  const params = new URLSearchParams();
+  if (currentPath.length) params.set('path', currentPath.join('/'));
+  const meta = getViewerMeta();
+  if (meta) {
+    params.set('file', meta.path);
+    if (viewerRouteCell !== null) params.set('cell', viewerRouteCell + 1);
+  }
+  return params.toString().replace(/%2F/gi, '/');
+}
+
+/**
+ * Parse a URL fragment written by buildRouteHash()
+ * @param {string} hash - location.hash
+ * @returns {{path: string[], file: string|null, cell: number|null}} Route
+ */
+function parseRouteHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const cell = parseInt(params.get('cell'), 10);
+  return {
+    path: (params.get('path') || '').split('/').filter(Boolean),
+    file: params.get('file'),
+    cell: cell > 0 ? cell - 1 : null
+  };
+}
+
+/**
+ * Write the navigation state to the URL (a history entry per change, so Back/Forward work)
+ * Nothing happens while a route is being applied or waits for its files.
+ * @param {boolean} [replace] - Replace the current history entry instead of adding one
+ */
+function syncRoute(replace = false) {
+  if (applyingRoute || pendingRoute) return;
+  const hash = buildRouteHash();
+  if (hash === location.hash.replace(/^#/, '')) return;
+  const url = hash ? `#${hash}` : location.pathname + location.search;
+  try {
+    history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  } catch (err) {
+    // Some browsers restrict the History API for file:// pages
+    location.hash = hash;
+  }
+}
+
+/**
+ * Show the folder, file and cell of a route
+ * Path segments that do not exist in the loaded files are dropped; a missing file
+ * leaves the folder open.
+ * @param {{path: string[], file: string|null, cell: number|null}} route - Route to show
+ * @returns {Promise} Promise that resolves once the route is applied
+ */
+async function applyRoute(route) {
+  applyingRoute = true;
+  try {
+    let node = folderStructure;
+    const path = [];
+    for (const name of route.path) {
+      if (name === 'files' || !node[name]) break;
+      node = node[name];
+      path.push(name);
+    }
+    if (path.join('/') !== currentPath.join('/')) {
+      currentPath = path;
+      renderFolderView(node);
+    }
+
+    const meta = getViewerMeta();
+    const file = route.file && collectFiles(folderStructure).find(f => f.fullPath === route.file);
+    if (!file) {
+      if (modal.style.display === 'block') closeModal();
+    } else if (meta && meta.path === route.file) {
+      viewerRouteCell = route.cell;
+      scrollViewerTo(route.cell === null ? undefined : route.cell);
+    } else {
+      await openFileInViewer(file, { cell: route.cell === null ? undefined : route.cell });
+    }
+  } finally {
+    applyingRoute = false;
+  }
+  syncRoute(true);
+}
+
+/**
+ * Apply a route from the URL that arrived before its files were loaded
+ */
+function applyPendingRoute() {
+  if (!pendingRoute) return;
+  const route = pendingRoute;
+  pendingRoute = null;
+  applyRoute(route);
+}
+
+/**
+ * Handle Back/Forward and hand-edited fragments
+ */
+function handleRouteChange() {
+  if (location.hash.replace(/^#/, '') === buildRouteHash()) return;
+  const route = parseRouteHash(location.hash);
+  if (!Object.keys(folderStructure).length) {
+    pendingRoute = route.path.length || route.file ? route : null;
+    return;
+  }
+  applyRoute(route);
+}
+
+/**
+ * Record the cell at the top of the viewer in the URL (replacing the history entry)
+ */
+function updateRouteCell() {
+  if (!getViewerMeta()) return;
+  const cells = viewerBody.querySelectorAll('.viewer-cell');
+  let index = null;
+  for (const cell of cells) {
+    if (cell.getBoundingClientRect().bottom > SCROLL_SPY_OFFSET) {
+      index = Number(cell.dataset.cellIndex);
+      break;
+    }
+  }
+  viewerRouteCell = index > 0 ? index : null;
+  syncRoute(true);
+}
+
+// ============================================================================
+// Viewer Outline and Cell Navigation
+// ============================================================================
+
+/**
+ * Build the outline sidebar from the markdown headings of the file in the viewer
+ * Headings from markdown cells (or a rendered .md file) are listed; headings inside
+ * outputs are not. Each heading gets a generated id so it can be linked.
+ */
+function buildOutline() {
+  viewerToc.innerHTML = '';
+  viewerHeadings = [...viewerBody.querySelectorAll('h1, h2, h3, h4, h5, h6')].filter(h =>
+    h.closest('.viewer-cell.markdown') || (h.parentElement === viewerBody.querySelector(':scope > .md-content'))
+  );
+  viewerToc.style.display = viewerHeadings.length ? '' : 'none';
+  if (!viewerHeadings.length) return;
+
+  const title = document.createElement('div');
+  title.className = 'toc-title';
+  title.textContent = 'Contents';
+  viewerToc.appendChild(title);
+  const minLevel = Math.min(...viewerHeadings.map(h => Number(h.tagName[1])));
+  viewerHeadings.forEach((h, i) => {
+    h.id = `nb-heading-${i}`;
+    const link = document.createElement('a');
+    link.className = 'toc-item';
+    link.href = `#${h.id}`;
+    link.textContent = h.textContent;
+    link.style.paddingLeft = `${(Number(h.tagName[1]) - minLevel) * 12 + 8}px`;
+    link.onclick = e => {
+      e.preventDefault();
+      scrollViewerToElement(h);
+    };
+    viewerToc.appendChild(link);
+  });
+  updateOutlineHighlight();
+}
+
+/**
+ * Scroll-spy: highlight the outline entry of the section currently at the top of the viewer
+ */
+function updateOutlineHighlight() {
+  if (!viewerHeadings.length) return;
+  const top = modal.getBoundingClientRect().top + SCROLL_SPY_OFFSET;
+  let current = 0;
+  viewerHeadings.forEach((h, i) => {
+    if (h.getBoundingClientRect().top <= top) current = i;
+  });
+  const items = viewerToc.querySelectorAll('.toc-item');
+  items.forEach((item, i) => item.classList.toggle('active', i === current));
+  const active = items[current];
+  if (active && (active.offsetTop < viewerToc.scrollTop || active.offsetTop > viewerToc.scrollTop + viewerToc.clientHeight)) {
+    viewerToc.scrollTop = active.offsetTop - viewerToc.clientHeight / 2;
+  }
+}
+
+/**
+ * Scroll the viewer so an element sits at the top, and flash it
+ * @param {HTMLElement} el - Heading or cell to bring into view
+ */
+function scrollViewerToElement(el) {
+  el.scrollIntoView({ block: 'start' });
+  const cell = el.closest('.viewer-cell') || el;
+  cell.classList.remove('cell-flash');
+  void cell.offsetWidth; // Restart the animation
+  cell.classList.add('cell-flash');
+}
+
+/**
+ * Jump to the next or previous element of a kind (heading or code cell) relative
+ * to the current scroll position
+ * @param {'heading'|'code'} kind - What to jump to
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function jumpInViewer(kind, direction) {
+  const targets = kind === 'heading'
+    ? viewerHeadings
+    : [...viewerBody.querySelectorAll('.viewer-cell.code')];
+  if (!targets.length) return;
+  const top = modal.getBoundingClientRect().top + SCROLL_SPY_OFFSET / 2;
+  const positions = targets.map(el => el.getBoundingClientRect().top - top);
+  let index;
+  if (direction > 0) {
+    index = positions.findIndex(p => p > 1);
+  } else {
+    index = -1;
+    positions.forEach((p, i) => {
+      if (p < -1) index = i;
+    });
+  }
+  if (index !== -1) scrollViewerToElement(targets[index]);
+}
+
+// ============================================================================
+// Export and Print
+// ============================================================================
+
+/**
+ * Collect the text of every stylesheet of the page for a standalone export
+ * Font faces that load files (KaTeX fonts) get the data URIs of loadExportFonts(); those
+ * whose files could not be read are left out, and math then falls back to the reader's serif font.
+ * @param {Map<string, string|null>} [fonts] - Data URIs by absolute font URL
+ * @returns {string|null} CSS text, or null if a stylesheet cannot be read
+ */
+function collectStylesheetText(fonts = new Map()) {
+  let css = '';
+  for (const sheet of document.styleSheets) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (err) {
+      return null;
+    }
+    for (const rule of rules) {
+      let text = rule.cssText;
+      if (rule.type === CSSRule.FONT_FACE_RULE && /url\((?!["']?data:)/.test(text)) {
+        let complete = true;
+        text = text.replace(FONT_URL_PATTERN, (match, quote, url) => {
+          if (url.startsWith('data:')) return match;
+          const data = fonts.get(new URL(url, sheet.href || location.href).href);
+          if (!data) complete = false;
+          return `url("${data}")`;
+        });
+        if (!complete) continue;
+      }
+      css += text + '\n';
+    }
+  }
+  return css;
+}
+
+/**
+ * Read the vendored font files used by the page styles as data URIs, for an HTML export
+ * Only files next to the app are read (the KaTeX fonts); nothing else is requested.
+ * Results are kept in exportFontData; reading fails on file:// pages in most browsers.
+ * @returns {Promise<Map<string, string|null>>} Data URIs by absolute font URL
+ */
+async function loadExportFonts() {
+  const base = new URL('.', location.href).href;
+  const urls = new Set();
+  for (const sheet of document.styleSheets) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (err) {
+      continue;
+    }
+    for (const rule of rules) {
+      if (rule.type !== CSSRule.FONT_FACE_RULE) continue;
+      for (const m of rule.cssText.matchAll(FONT_URL_PATTERN)) {
+        const url = new URL(m[2], sheet.href || location.href).href;
+        if (url.startsWith(base) && !exportFontData.has(url)) urls.add(url);
+      }
+    }
+  }
+  await Promise.all([...urls].map(async url => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(response.statusText);
+      exportFontData.set(url, await blobToDataUri(await response.blob()));
+    } catch (err) {
+      exportFontData.set(url, null);
+    }
+  }));
+  return exportFontData;
+}
+
+/**
+ * Read a Blob as a data URI
+ * @param {Blob} blob - The blob
+ * @returns {Promise<string>} data: URI
+ */
+function blobToDataUri(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Copy the computed styles of a rendered tree onto its clone as inline styles
+ * @param {Element} source - Rendered element in the page
+ * @param {Element} target - Its clone (same structure)
+ */
+function inlineComputedStyles(source, target) {
+  const computed = getComputedStyle(source);
+  const declarations = EXPORT_INLINE_PROPERTIES
+    .map(prop => [prop, computed.getPropertyValue(prop)])
+    .filter(([, value]) => value && !EXPORT_DEFAULT_VALUES.has(value))
+    .map(([prop, value]) => `${prop}:${value}`);
+  if (declarations.length) {
+    target.setAttribute('style', declarations.join(';') + ';' + (target.getAttribute('style') || ''));
+  }
+  for (let i = 0; i < source.children.length; i++) {
+    inlineComputedStyles(source.children[i], target.children[i]);
+  }
+}
+
+/**
+ * Get the theme variables as resolved on <html>, for an export without the page stylesheets
+ * @returns {string} A `:root` rule declaring every custom property in use
+ */
+function collectRootVariables() {
+  const style = getComputedStyle(document.documentElement);
+  const declarations = Array.from(style)
+    .filter(name => name.startsWith('--'))
+    .map(name => `${name}:${style.getPropertyValue(name).trim()};`);
+  return `:root { ${declarations.join(' ')} }`;
+}
+
+/**
+ * Build a standalone HTML document from the file shown in the viewer
+ * The viewer holds the rendered file with highlighted code, typeset math and images as
+ * data URIs (lazily rendered notebook cells are finished first); it is cloned, stripped of
+ * search highlights and buttons, and bundled with the page styles. A restrictive CSP keeps the exported file from loading anything.
+ * @param {Map<string, string|null>} [fonts] - Font data URIs from loadExportFonts()
+ * @returns {string} Complete HTML document
+ */
+function buildExportDocument(fonts) {
+  const content = viewerBody.cloneNode(true);
+  // Without readable stylesheets, styles are inlined and the page colors are given as resolved values
+  let css = collectStylesheetText(fonts);
+  if (css === null) {
+    inlineComputedStyles(viewerBody, content);
+    css = collectRootVariables();
+  }
+  content.querySelectorAll('mark.search-hit').forEach(mark => mark.replaceWith(...mark.childNodes));
+  content.querySelectorAll('.cell-flash').forEach(el => el.classList.remove('cell-flash'));
+  content.querySelectorAll('.diff-toolbar, .lint-warning').forEach(el => el.remove());
+  content.querySelectorAll('.show-more').forEach(button => {
+    const note = document.createElement('div');
+    note.className = 'out-more';
+    note.textContent = `${button.textContent.replace(/^Show /, '')} not shown`;
+    button.replaceWith(note);
+  });
+
+  const title = escapeHtml(viewerTitle.textContent);
+  // The page styles include the highlight.js theme in use, so the export keeps the app theme too
+  return `<!DOCTYPE html>
+<html lang="en" data-theme="${document.documentElement.dataset.theme || 'light'}">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'; font-src data:">
+<title>${title}</title>
+<style>
+${css}
+body.nb-export { background:var(--surface, white); color:var(--text, #111); }
+body.nb-export #viewerContent { box-shadow:none; margin:20px auto; }
+</style>
+</head>
+<body class="nb-export">
+<div id="viewerContent">
+<h2 id="viewerTitle">${title}</h2>
+<div id="viewerBody">${content.innerHTML}</div>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Download the file shown in the viewer as a standalone HTML file
+ * The math fonts are only embedded when the file contains math.
+ * @returns {Promise} Resolves once the download was started
+ */
+async function exportViewerHtml() {
+  if (!viewerBody.firstChild) return;
+  renderAllViewerCells();
+  const fonts = viewerBody.querySelector('.katex') ? await loadExportFonts() : undefined;
+  const name = viewerTitle.textContent.replace(/\.[^.]*$/, '').replace(/[\\/:*?"<>|↔]+/g, '_').trim();
+  downloadFile(name + '.html', buildExportDocument(fonts), 'text/html');
+}
+
+/**
+ * Save generated content as a file through a temporary Blob URL (nothing is uploaded)
+ * @param {string} filename - Suggested file name
+ * @param {string|Uint8Array} data - File content
+ * @param {string} mime - MIME type of the content
+ */
+function downloadFile(filename, data, mime) {
+  const url = URL.createObjectURL(new Blob([data], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================================================
+// Notebook Diff
+// ============================================================================
+
+/**
+ * Handle a click on a loaded file card: open it, or with Ctrl/⌘ toggle it for comparison
+ * @param {MouseEvent} e - The click event
+ * @param {string} cardId - ID of the clicked card
+ */
+function handleCardClick(e, cardId) {
+  if (e.ctrlKey || e.metaKey) {
+    toggleCompareSelection(cardId);
+  } else {
+    openNotebookModal(cardId);
+  }
+}
+
+/**
+ * Add or remove a card from the comparison selection (keeps the two most recent picks)
+ * @param {string} cardId - ID of the card
+ */
+function toggleCompareSelection(cardId) {
+  const meta = cardMap.get(cardId);
+  if (!meta) return;
+  if (compareSelection.some(sel => sel.path === meta.path)) {
+    compareSelection = compareSelection.filter(sel => sel.path !== meta.path);
+  } else {
+    compareSelection = [...compareSelection, { id: cardId, path: meta.path }].slice(-2);
+  }
+  updateSelectionBar();
+  announce(selectionCount.textContent);
+}
+
+/**
+ * Sync the card highlights and the floating selection bar with compareSelection
+ */
+function updateSelectionBar() {
+  const paths = new Set(compareSelection.map(sel => sel.path));
+  gallery.querySelectorAll(FILE_ITEM_SELECTOR).forEach(card => {
+    card.classList.toggle('selected', paths.has(card.dataset.path));
+  });
+  selectionBar.style.display = compareSelection.length ? 'flex' : 'none';
+  selectionCount.textContent = compareSelection.length === 2
+    ? `${compareSelection[0].path} ↔ ${compareSelection[1].path}`
+    : `${compareSelection.length} selected - Ctrl/⌘+click another file to compare`;
+  compareBtn.disabled = compareSelection.length !== 2;
+}
+
+/**
+ * Compute an edit script between two sequences (LCS based)
+ * A common prefix and suffix are stripped first; if the remaining table would exceed
+ * MAX_DIFF_CELLS the middle is reported as removed + added.
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {function(*, *): boolean} equals - Element equality
+ * @returns {{op: 'equal'|'delete'|'insert', a: number, b: number}[]} Operations in order
+ *   (`a`/`b` are indexes into the old/new sequence, -1 when not applicable)
+ */
+function diffSequences(a, b, equals) {
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: 'equal', a: i, b: i });
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_DIFF_CELLS) {
+    for (let i = 0; i < n; i++) ops.push({ op: 'delete', a: start + i, b: -1 });
+    for (let j = 0; j < m; j++) ops.push({ op: 'insert', a: -1, b: start + j });
+  } else if (n || m) {
+    // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = equals(a[start + i], b[start + j])
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && equals(a[start + i], b[start + j])) {
+        ops.push({ op: 'equal', a: start + i++, b: start + j++ });
+      } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+        ops.push({ op: 'insert', a: -1, b: start + j++ });
+      } else {
+        ops.push({ op: 'delete', a: start + i++, b: -1 });
+      }
+    }
+  }
+  for (let k = 0; endA + k < a.length; k++) ops.push({ op: 'equal', a: endA + k, b: endB + k });
+  return ops;
+}
+
+/**
+ * Similarity of two texts as the share of lines they have in common (Dice coefficient)
+ * @param {string} x - First text
+ * @param {string} y - Second text
+ * @returns {number} Similarity between 0 and 1
+ */
+function lineSimilarity(x, y) {
+  const a = x.split('\n');
+  const b = y.split('\n');
+  const counts = new Map();
+  a.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+  let common = 0;
+  b.forEach(line => {
+    const c = counts.get(line);
+    if (c) {
+      common++;
+      counts.set(line, c - 1);
+    }
+  });
+  return (2 * common) / (a.length + b.length);
+}
+
+/**
+ * Align the cells of two notebooks
+ * Identical cells are matched by LCS; within each run of removed/added cells, cells of
+ * the same type that are similar enough are paired up as modified.
+ * @param {Object[]} cellsA - Cells of the old notebook
+ * @param {Object[]} cellsB - Cells of the new notebook
+ * @returns {{status: string, a: Object|null, b: Object|null, ai: number, bi: number}[]}
+ *   Rows with status 'unchanged', 'modified', 'removed' or 'added'
+ */
+function alignCells(cellsA, cellsB) {
+  const same = (x, y) => x.cell_type === y.cell_type && multilineString(x.source) === multilineString(y.source);
+  const ops = diffSequences(cellsA, cellsB, same);
+  const rows = [];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === 'equal') {
+      rows.push({ status: 'unchanged', a: cellsA[ops[k].a], b: cellsB[ops[k].b], ai: ops[k].a, bi: ops[k].b });
+      k++;
+      continue;
+    }
+    // Collect a run of deletes/inserts and pair similar cells, preserving order on both sides
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op !== 'equal') {
+      if (ops[k].op === 'delete') removed.push(ops[k].a);
+      else added.push(ops[k].b);
+      k++;
+    }
+    let next = 0;
+    removed.forEach(ai => {
+      const a = cellsA[ai];
+      const match = added.findIndex((bi, idx) => idx >= next &&
+        cellsB[bi].cell_type === a.cell_type &&
+        lineSimilarity(multilineString(a.source), multilineString(cellsB[bi].source)) >= DIFF_SIMILARITY_THRESHOLD);
+      if (match === -1) {
+        rows.push({ status: 'removed', a, b: null, ai, bi: -1 });
+        return;
+      }
+      for (; next < match; next++) {
+        rows.push({ status: 'added', a: null, b: cellsB[added[next]], ai: -1, bi: added[next] });
+      }
+      rows.push({ status: 'modified', a, b: cellsB[added[match]], ai, bi: added[match] });
+      next = match + 1;
+    });
+    for (; next < added.length; next++) {
+      rows.push({ status: 'added', a: null, b: cellsB[added[next]], ai: -1, bi: added[next] });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Summarize the outputs of a cell for comparison
+ * Text outputs are compared by content; images by their encoded data, so a re-rendered
+ * plot with different pixels is flagged even when its text repr is unchanged.
+ * @param {Object|null} cell - A notebook cell
+ * @returns {{text: string, images: {mime: string, data: string}[]}} Output summary
+ */
+function summarizeOutputs(cell) {
+  const summary = { text: '', images: [] };
+  ((cell && cell.outputs) || []).forEach(o => {
+    const image = o.data && ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml'].find(m => o.data[m]);
+    if (image) {
+      summary.images.push({ mime: image, data: multilineString(o.data[image]) });
+    } else {
+      const text = outputSearchText(o);
+      if (text) summary.text += text.endsWith('\n') ? text : text + '\n';
+    }
+  });
+  return summary;
+}
+
+/**
+ * Render a line-level diff of two texts
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @param {'old'|'new'|'unified'} side - Which side to render (split view) or both (unified)
+ * @returns {string} HTML <pre> block
+ */
+function renderLineDiff(oldText, newText, side) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  let html = '';
+  diffSequences(a, b, (x, y) => x === y).forEach(({ op, a: i, b: j }) => {
+    if (op === 'equal') {
+      html += `<span class="diff-line"> ${escapeHtml(side === 'new' ? b[j] : a[i])}</span>`;
+    } else if (op === 'delete' && side !== 'new') {
+      html += `<span class="diff-line del">-${escapeHtml(a[i])}</span>`;
+    } else if (op === 'insert' && side !== 'old') {
+      html += `<span class="diff-line ins">+${escapeHtml(b[j])}</span>`;
+    }
+  });
+  return `<pre class="diff-code">${html}</pre>`;
+}
+
+/**
+ * Render the output differences of an aligned cell pair
+ * @param {Object} row - An aligned row from alignCells()
+ * @param {'old'|'new'|'unified'} side - Which side to render
+ * @returns {string} HTML (empty when the outputs are identical)
+ */
+function renderOutputDiff(row, side) {
+  const a = summarizeOutputs(row.a);
+  const b = summarizeOutputs(row.b);
+  let html = '';
+  if (a.text !== b.text) {
+    html += renderLineDiff(a.text, b.text, side);
+  }
+  const count = Math.max(a.images.length, b.images.length);
+  for (let i = 0; i < count; i++) {
+    const x = a.images[i];
+    const y = b.images[i];
+    if (x && y && x.mime === y.mime && x.data === y.data) continue;
+    const label = !x ? 'image added' : !y ? 'image removed' : 'image changed';
+    const shown = [];
+    if (x && side !== 'new') shown.push(renderDiffImage(x, 'del'));
+    if (y && side !== 'old') shown.push(renderDiffImage(y, 'ins'));
+    html += `<div class="diff-image"><span class="diff-flag">🖼 ${label}</span>${shown.join('')}</div>`;
+  }
+  return html ? `<div class="diff-outputs"><div class="diff-outputs-title">Outputs</div>${html}</div>` : '';
+}
+
+/**
+ * Render an output image thumbnail for the diff view
+ * @param {{mime: string, data: string}} image - Image summary
+ * @param {'del'|'ins'} kind - Whether the image belongs to the old or new side
+ * @returns {string} HTML <img> tag
+ */
+function renderDiffImage(image, kind) {
+  const alt = kind === 'del' ? 'Output image (old)' : 'Output image (new)';
+  const html = image.mime === 'image/svg+xml'
+    ? renderSvgOutput(image.data, {}, alt)
+    : renderImageOutput(image.mime, image.data, {}, alt);
+  return html.replace('class="out-image"', `class="out-image ${kind}"`);
+}
+
+/**
+ * Render one side (or the unified view) of an aligned cell pair
+ * @param {Object} row - An aligned row from alignCells()
+ * @param {'old'|'new'|'unified'} side - Which side to render
+ * @returns {string} HTML
+ */
+function renderDiffCell(row, side) {
+  const cell = side === 'new' ? row.b : side === 'old' ? row.a : (row.b || row.a);
+  if (!cell) return '<div class="diff-cell empty"></div>';
+  const index = side === 'old' || (side === 'unified' && !row.b) ? row.ai : row.bi;
+  const label = `#${index + 1} ${cell.cell_type}`;
+  const oldSrc = row.a ? multilineString(row.a.source) : '';
+  const newSrc = row.b ? multilineString(row.b.source) : '';
+  let body;
+  if (row.status === 'modified') {
+    body = renderLineDiff(oldSrc, newSrc, side);
+  } else {
+    const prefix = row.status === 'removed' ? '-' : row.status === 'added' ? '+' : ' ';
+    const kind = row.status === 'removed' ? ' del' : row.status === 'added' ? ' ins' : '';
+    body = `<pre class="diff-code">${multilineString(cell.source).split('\n')
+      .map(line => `<span class="diff-line${kind}">${prefix}${escapeHtml(line)}</span>`).join('')}</pre>`;
+  }
+  const outputs = diffOptions.outputs && row.a && row.b ? renderOutputDiff(row, side) : '';
+  return `<div class="diff-cell ${row.status}"><div class="diff-cell-label">${escapeHtml(label)}</div>${body}${outputs}</div>`;
+}
+
+/**
+ * Render the diff of two notebooks
+ * Runs of unchanged cells are collapsed. With diffOptions.outputs, unchanged and modified
+ * cells whose outputs differ are shown as well.
+ * @param {Object} nbA - Old notebook
+ * @param {Object} nbB - New notebook
+ * @returns {string} HTML for the diff view
+ */
+function renderNotebookDiff(nbA, nbB) {
+  const rows = alignCells(nbA.cells || [], nbB.cells || []);
+  const outputsDiffer = row => {
+    if (!diffOptions.outputs || !row.a || !row.b) return false;
+    return JSON.stringify(summarizeOutputs(row.a)) !== JSON.stringify(summarizeOutputs(row.b));
+  };
+  const counts = { modified: 0, added: 0, removed: 0, unchanged: 0 };
+  rows.forEach(row => {
+    if (row.status === 'unchanged' && outputsDiffer(row)) row.status = 'outputs';
+    counts[row.status === 'outputs' ? 'modified' : row.status]++;
+  });
+
+  const split = diffOptions.layout === 'split';
+  let html = `<div class="diff-summary">${counts.modified} modified · ${counts.added} added · ${counts.removed} removed · ${counts.unchanged} unchanged</div>`;
+  html += `<div class="diff-rows ${split ? 'split' : 'unified'}">`;
+  let unchanged = [];
+  const flush = () => {
+    if (!unchanged.length) return;
+    const inner = unchanged.map(row => renderDiffRow(row, split)).join('');
+    html += `<details class="diff-unchanged"><summary>⋯ ${unchanged.length} unchanged cell${unchanged.length === 1 ? '' : 's'}</summary>${inner}</details>`;
+    unchanged = [];
+  };
+  rows.forEach(row => {
+    if (row.status === 'unchanged') {
+      unchanged.push(row);
+    } else {
+      flush();
+      html += renderDiffRow(row, split);
+    }
+  });
+  flush();
+  return html + '</div>';
+}
+
+/**
+ * Render an aligned row in the split or unified layout
+ * @param {Object} row - An aligned row from alignCells()
+ * @param {boolean} split - Side-by-side layout
+ * @returns {string} HTML
+ */
+function renderDiffRow(row, split) {
+  if (split) {
+    return `<div class="diff-row">${renderDiffCell(row, 'old')}${renderDiffCell(row, 'new')}</div>`;
+  }
+  return `<div class="diff-row">${renderDiffCell(row, 'unified')}</div>`;
+}
+
+/**
+ * Parse a file for comparison; non-notebook files are compared as a single cell
+ * @param {Object} meta - Card metadata from cardMap
+ * @returns {Object} Notebook-shaped object
+ */
+function parseForDiff(meta) {
+  const def = FILE_TYPES[meta.type];
+  const nb = def.notebook ? def.notebook(meta.raw) : null;
+  return nb || { cells: [{ cell_type: 'code', source: meta.raw, outputs: [] }] };
+}
+
+/**
+ * Open the diff of the two selected files in the viewer
+ */
+function openCompareView() {
+  if (compareSelection.length !== 2) return;
+  const [metaA, metaB] = compareSelection.map(sel => cardMap.get(sel.id));
+  if (!metaA || !metaB) return;
+  let nbA;
+  let nbB;
+  try {
+    nbA = parseForDiff(metaA);
+    nbB = parseForDiff(metaB);
+  } catch (err) {
+    alert('Parse error');
+    return;
+  }
 
-      // Render outputs
-      (c.outputs || []).forEach(o => {
-        if (debugMode) {
-          console.log('Output:', o);
-        }
+  openViewerPanel(`${metaA.filename} ↔ ${metaB.filename}`);
 
-        // Prioritize image data over text
-        if (o.data && o.data['image/png']) {
-          html += `<img src="data:image/png;base64,${o.data['image/png']}" style="max-width:100%;">`;
-        } else if (o.data && o.data['image/jpeg']) {
-          html += `<img src="data:image/jpeg;base64,${o.data['image/jpeg']}" style="max-width:100%;">`;
-        } else if (o.data && o.data['image/svg+xml']) {
-          html += `<img src="data:image/svg+xml;base64,${o.data['image/svg+xml']}" style="max-width:100%;">`;
-        } else if (o.data && o.data['text/plain']) {
-          const text = Array.isArray(o.data['text/plain']) ? o.data['text/plain'].join('') : o.data['text/plain'];
-          // Skip matplotlib figure text representations
-          if (!text.includes('<Figure size') && !text.includes('Figure(')) {
-            html += `<pre class="out">${escapeHtml(text)}</pre>`;
-          }
-        } else if (o.output_type === 'stream' && o.text) {
-          const text = Array.isArray(o.text) ? o.text.join('') : o.text;
-          html += `<pre class="out">${escapeHtml(text)}</pre>`;
-        }
+  const render = () => {
+    viewerBody.innerHTML = `
+      <div class="diff-toolbar">
+        <span class="diff-paths">${escapeHtml(metaA.path)} → ${escapeHtml(metaB.path)}</span>
+        <label><input type="radio" name="diffLayout" value="split"${diffOptions.layout === 'split' ? ' checked' : ''}> Side by side</label>
+        <label><input type="radio" name="diffLayout" value="unified"${diffOptions.layout === 'unified' ? ' checked' : ''}> Unified</label>
+        <label><input type="checkbox" id="diffOutputs"${diffOptions.outputs ? ' checked' : ''}> Compare outputs</label>
+      </div>` + renderNotebookDiff(nbA, nbB);
+    viewerBody.querySelectorAll('input[name="diffLayout"]').forEach(input => {
+      input.addEventListener('change', () => {
+        diffOptions.layout = input.value;
+        render();
       });
+    });
+    viewerBody.querySelector('#diffOutputs').addEventListener('change', e => {
+      diffOptions.outputs = e.target.checked;
+      render();
+    });
+  };
+  render();
+  showModal();
+  modal.scrollTop = 0;
+}
+
+// ============================================================================
+// Search Query Language
+// ============================================================================
+
+/**
+ * Parse a search query
+ * Syntax (terms are ANDed; `NOT term` or `-term` negates):
+ * - plain words match at the start of a word (or snake_case part) in cell text or the file path
+ * - "quoted phrases" match as case-insensitive substrings
+ * - /regex/flags match cell text
+ * - path:text, type:ipynb|py, kernel:name, cell:code|markdown|output, has:image|error|output
+ *   (values separated by `|` are alternatives)
+ * @param {string} input - The raw query
+ * @returns {{clauses: Object[], error: string|null}} Parsed clauses, or the first parse error
+ */
+function parseQuery(input) {
+  const clauses = [];
+  let negateNext = false;
+  let i = 0;
+  const fail = message => ({ clauses, error: message });
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+    let negated = negateNext;
+    negateNext = false;
+    if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negated = !negated;
+      i++;
+    }
+    const start = i;
+
+    if (input[i] === '"') {
+      const close = input.indexOf('"', i + 1);
+      if (close === -1) return fail('Unclosed quote');
+      const text = input.slice(i + 1, close);
+      i = close + 1;
+      if (text.trim()) clauses.push({ kind: 'phrase', negated, text: text.toLowerCase(), raw: input.slice(start, i) });
+      continue;
+    }
+
+    if (input[i] === '/') {
+      let j = i + 1;
+      while (j < input.length && input[j] !== '/') j += input[j] === '\\' ? 2 : 1;
+      if (j >= input.length) return fail('Unterminated /regex/');
+      const flags = (input.slice(j + 1).match(/^[a-z]*/) || [''])[0];
+      let regex;
+      try {
+        regex = new RegExp(input.slice(i + 1, j), flags.replace(/g/g, ''));
+      } catch (err) {
+        return fail(`Invalid regex: ${err.message}`);
+      }
+      i = j + 1 + flags.length;
+      clauses.push({ kind: 'regex', negated, regex, raw: input.slice(start, i) });
+      continue;
+    }
+
+    // Plain word or field:value (the value may be quoted)
+    let j = i;
+    while (j < input.length && !/\s/.test(input[j])) {
+      if (input[j] === ':' && input[j + 1] === '"') {
+        const close = input.indexOf('"', j + 2);
+        if (close === -1) return fail('Unclosed quote');
+        j = close + 1;
+        break;
+      }
+      j++;
+    }
+    const word = input.slice(i, j);
+    i = j;
+
+    if (word === 'AND') continue;
+    if (word === 'NOT') {
+      negateNext = !negated;
+      continue;
+    }
+    if (word === 'OR') return fail('OR is not supported - use field:a|b for alternatives');
+
+    const field = word.match(/^([a-z]+):(.*)$/);
+    if (field && field[1] in QUERY_FIELDS) {
+      const name = field[1];
+      const value = field[2].replace(/^"(.*)"$/, '$1').toLowerCase();
+      const values = value.split('|').filter(Boolean);
+      if (!values.length) return fail(`Missing value for ${name}:`);
+      const allowed = name === 'type' ? Object.keys(FILE_TYPES) : QUERY_FIELDS[name];
+      const unknown = allowed && values.find(v => !allowed.includes(v));
+      if (unknown) return fail(`Unknown ${name}: value "${unknown}" (expected ${allowed.join(', ')})`);
+      clauses.push({ kind: 'field', negated, field: name, values, raw: input.slice(start, i) });
+    } else if (field && /^[a-z]+$/.test(field[1]) && !field[2].startsWith('/')) {
+      return fail(`Unknown filter "${field[1]}:" (expected ${Object.keys(QUERY_FIELDS).join(', ')})`);
+    } else {
+      clauses.push({ kind: 'word', negated, text: word.toLowerCase(), raw: input.slice(start, i) });
+    }
+  }
+  if (negateNext) return fail('NOT must be followed by a term');
+  return { clauses, error: null };
+}
+
+/**
+ * Turn parsed clauses back into query text (used by the filter chips)
+ * @param {Object[]} clauses - Parsed clauses
+ * @returns {string} Query text
+ */
+function serializeQuery(clauses) {
+  return clauses.map(c => (c.negated ? 'NOT ' : '') + c.raw.replace(/^-/, '')).join(' ');
+}
+
+/**
+ * Get the ids of the segments matching a text clause (word or phrase) via the inverted index
+ * Every token of the clause must prefix-match; phrases and punctuated words are then
+ * verified as substrings.
+ * @param {Object} clause - A word or phrase clause
+ * @returns {Set<number>} Matching segment ids
+ */
+function textClauseSegments(clause) {
+  const tokens = [...new Set(tokenize(clause.text))];
+  let ids = null;
+  for (const token of tokens) {
+    const matches = lookupPrefix(searchIndex, token);
+    ids = ids ? new Set([...ids].filter(id => matches.has(id))) : matches;
+    if (!ids.size) break;
+  }
+  ids = ids || new Set();
+  if (clause.kind === 'phrase' || tokens.length > 1) {
+    ids = new Set([...ids].filter(id => searchIndex.segments[id].text.toLowerCase().includes(clause.text)));
+  }
+  return ids;
+}
+
+/**
+ * Check a field clause against the facts of an indexed file
+ * @param {Object} clause - A field clause
+ * @param {Object} entry - An entry of searchIndex.files
+ * @returns {boolean} True if the file satisfies the (non-negated) clause
+ */
+function fieldClauseMatches(clause, entry) {
+  return clause.values.some(value => {
+    switch (clause.field) {
+      case 'path': return entry.path.toLowerCase().includes(value);
+      case 'type': return entry.type === value;
+      case 'kernel': return entry.kernel.includes(value);
+      case 'cell': return entry.cellKinds.has(value) || (value === 'output' && entry.hasOutput);
+      case 'has':
+        return (value === 'image' && entry.hasImage) ||
+          (value === 'error' && entry.hasError) ||
+          (value === 'output' && entry.hasOutput);
+      default: return false;
     }
+  });
+}
+
+/**
+ * Evaluate a parsed query against the search index
+ * `cell:` clauses restrict which segments the text clauses look at; without text
+ * clauses they test whether the notebook has such cells.
+ * @param {Object} query - Result of parseQuery() without error
+ * @returns {{files: Object[], hits: {fileId: number, segmentId: number|null}[], highlight: RegExp|null}}
+ *   Matching files, hits in document order, and a regex for highlighting matches
+ */
+function evaluateQuery(query) {
+  const textClauses = query.clauses.filter(c => c.kind !== 'field');
+  const cellClauses = query.clauses.filter(c => c.kind === 'field' && c.field === 'cell');
+  const fieldClauses = query.clauses.filter(c => c.kind === 'field' && (c.field !== 'cell' || !textClauses.length));
+  const included = cellClauses.filter(c => !c.negated).flatMap(c => c.values);
+  const excluded = cellClauses.filter(c => c.negated).flatMap(c => c.values);
+  const inScope = seg => (!included.length || included.includes(seg.kind)) && !excluded.includes(seg.kind);
 
-    html += '</div>';
+  textClauses.forEach(c => {
+    if (c.kind !== 'regex') c.ids = textClauseSegments(c);
+  });
+  const segmentMatches = (c, id) => (c.kind === 'regex'
+    ? c.regex.test(searchIndex.segments[id].text)
+    : c.ids.has(id));
+
+  const files = [];
+  const hits = [];
+  searchIndex.files.forEach((entry, fileId) => {
+    if (!fieldClauses.every(c => fieldClauseMatches(c, entry) !== c.negated)) return;
+    const scoped = entry.segmentIds.filter(id => inScope(searchIndex.segments[id]));
+    const fileHits = new Set();
+    for (const c of textClauses) {
+      const matched = scoped.filter(id => segmentMatches(c, id));
+      const inPath = c.kind === 'word' && entry.path.toLowerCase().includes(c.text);
+      const found = matched.length > 0 || inPath;
+      if (found === c.negated) return;
+      if (!c.negated) matched.forEach(id => fileHits.add(id));
+    }
+    files.push(entry);
+    if (fileHits.size) {
+      [...fileHits].sort((a, b) => a - b).forEach(segmentId => hits.push({ fileId, segmentId }));
+    } else {
+      hits.push({ fileId, segmentId: null });
+    }
+  });
+  return { files, hits, highlight: buildHighlightRegex(query) };
+}
+
+/**
+ * Build one regex matching every positive text clause of a query, for highlighting
+ * @param {Object} query - Parsed query
+ * @returns {RegExp|null} Global, case-insensitive regex (null when there is nothing to highlight)
+ */
+function buildHighlightRegex(query) {
+  const escape = t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const positive = query.clauses.filter(c => !c.negated && c.kind !== 'field');
+  const build = wordStart => {
+    const parts = positive.map(c => {
+      if (c.kind === 'regex') return `(?:${c.regex.source})`;
+      if (c.kind === 'phrase') return escape(c.text);
+      return `(?:${wordStart}|(?<=_))${escape(c.text)}`;
+    });
+    return parts.length ? parts.join('|') : null;
+  };
+  const unicode = build('(?<![\\p{L}\\p{N}])');
+  if (!unicode) return null;
+  try {
+    return new RegExp(unicode, 'giu');
+  } catch (err) {
+    // Some regex clauses are only valid without the `u` flag
+    return new RegExp(build('(?<![A-Za-z0-9])'), 'gi');
+  }
+}
+
+/**
+ * Render the filter chips for a parsed query
+ * Active clauses become chips (click to toggle NOT, × to remove); common filters
+ * that are not in the query yet are offered as "add" chips.
+ * @param {Object} query - Parsed query
+ */
+function renderQueryChips(query) {
+  queryChips.innerHTML = '';
+  const update = clauses => {
+    searchInput.value = serializeQuery(clauses);
+    refreshSearch();
+    searchInput.focus();
+  };
+  if (!query.error) {
+    query.clauses.forEach((clause, i) => {
+      const chip = document.createElement('span');
+      chip.className = `chip ${clause.kind}${clause.negated ? ' negated' : ''}`;
+      chip.title = clause.negated ? 'Click to include' : 'Click to exclude (NOT)';
+      const label = document.createElement('button');
+      label.type = 'button';
+      label.className = 'plain-button';
+      label.textContent = (clause.negated ? 'NOT ' : '') + clause.raw.replace(/^-/, '');
+      label.setAttribute('aria-pressed', String(clause.negated));
+      chip.appendChild(label);
+      chip.onclick = () => update(query.clauses.map((c, j) => (j === i ? { ...c, negated: !c.negated } : c)));
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'chip-remove';
+      remove.title = 'Remove';
+      remove.setAttribute('aria-label', `Remove ${clause.raw}`);
+      remove.textContent = '×';
+      remove.onclick = e => {
+        e.stopPropagation();
+        update(query.clauses.filter((c, j) => j !== i));
+      };
+      chip.appendChild(remove);
+      queryChips.appendChild(chip);
+    });
+  }
+  if (!Object.keys(folderStructure).length) return;
+  const present = new Set(query.clauses.map(c => c.raw.replace(/^-/, '')));
+  QUERY_SUGGESTIONS.filter(raw => !present.has(raw)).forEach(raw => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'chip suggestion';
+    chip.textContent = '+ ' + raw;
+    chip.onclick = () => {
+      const current = searchInput.value.trim();
+      searchInput.value = current ? `${current} ${raw}` : raw;
+      refreshSearch();
+      searchInput.focus();
+    };
+    queryChips.appendChild(chip);
   });
-  return html;
 }
 
 // ============================================================================
-// File Tree and Gallery Functions
+// Full-Text Search
 // ============================================================================
 
 /**
- * Recursively traverse the file tree from drop/add events
- * SECURITY: Only reads files locally - never transmits data
- * @param {FileSystemEntry} item - The file system entry to traverse
- * @param {File[]} fileList - Array to accumulate files
- * @param {string} path - Current path for fullPath construction
- * @returns {Promise} Promise that resolves when traversal is complete
+ * Create an empty search index
+ * - files: per-file facts used by query filters and gallery sorting ({file, path, type,
+ *   kernel, kernelLabel, hasImage, hasError, hasOutput, cellKinds, cells, outputs, errors,
+ *   lastExecution, segmentIds}; counts are null for non-notebooks), also reachable by path
+ *   through byPath
+ * - segments: searchable units ({fileId, cell, kind, text}) - one per notebook cell
+ *   source or text output, one per other file
+ * - postings: inverted index from token to the ids of the segments containing it
+ * - terms: sorted token list for prefix lookups; newTerms: tokens added since, merged
+ *   into terms on the next lookup
+ * - generation: bumped on every rebuild so a stale background build stops
+ * @param {number} [generation] - Generation of the new index
+ * @returns {Object} Empty index
  */
-async function traverseFileTree(item, fileList, path = "") {
-  return new Promise(resolve => {
-    if (item.isFile) {
-      item.file(f => {
-        // Normalize path: ensure forward slashes for cross-platform compatibility
-        const normalizedPath = path.replace(/\\/g, '/');
-        f.fullPath = normalizedPath + f.name;
-        
-        if (debugMode) {
-          console.log('[traverseFileTree] File:', f.name, 'Path:', path, 'FullPath:', f.fullPath);
-        }
-        
-        if ((f.name.endsWith('.ipynb') || f.name.endsWith('.py')) && !f.name.startsWith('._')) {
-          fileList.push(f);
-        }
-        resolve();
-      });
-    } else if (item.isDirectory) {
-      const dirReader = item.createReader();
-      dirReader.readEntries(async entries => {
-        for (const entry of entries) {
-          // Skip macOS metadata directories
-          if (!entry.name.startsWith('._')) {
-            // Normalize path: ensure forward slashes for cross-platform compatibility
-            const normalizedPath = path.replace(/\\/g, '/');
-            const newPath = normalizedPath + item.name + "/";
-            
-            if (debugMode) {
-              console.log('[traverseFileTree] Directory:', item.name, 'Path:', path, 'NewPath:', newPath);
-            }
-            
-            await traverseFileTree(entry, fileList, newPath);
-          }
-        }
-        resolve();
-      });
-    } else resolve();
+function createSearchIndex(generation = 0) {
+  return {
+    files: [], byPath: new Map(), segments: [], postings: new Map(), terms: [], newTerms: [],
+    indexed: 0, total: 0, generation
+  };
+}
+
+/**
+ * Split text into lowercase search tokens
+ * snake_case identifiers are indexed whole and by their parts, so both
+ * `train_model` and `model` find `def train_model(...)`.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens (may contain duplicates)
+ */
+function tokenize(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  const tokens = [];
+  words.forEach(word => {
+    tokens.push(word);
+    if (word.includes('_')) tokens.push(...word.split('_').filter(Boolean));
   });
+  return tokens;
 }
 
 /**
- * Normalize file path to ensure cross-platform compatibility
- * Handles both webkitRelativePath (from file input) and fullPath (from drag-drop)
- * Normalizes Windows backslashes to forward slashes
- * @param {File} file - The file object to normalize
- * @returns {string} Normalized path
+ * Analyze a loaded file for the search index
+ * @param {File} file - The file
+ * @param {{facts: Object, segments: Object[], metadata: Object|null}} search - Its search data
+ *   (see analyzeNotebookSearch)
+ * @returns {{facts: Object, segments: {cell: number|null, kind: string, text: string}[]}}
+ *   File facts for query filters, and searchable segments
  */
-function normalizeFilePath(file) {
-  // Try webkitRelativePath first (from file input with webkitdirectory)
-  // Then fall back to fullPath (from drag-and-drop)
-  let path = file.webkitRelativePath || file.fullPath || '';
-  
-  // If no path is available, use just the filename (file at root level)
-  if (!path) {
-    return file.name;
+function analyzeSearchFile(file, search) {
+  const type = getFileType(file.name);
+  const def = FILE_TYPES[type];
+  const facts = {
+    type, kernel: '', hasImage: false, hasError: false, hasOutput: false, cellKinds: new Set(),
+    kernelLabel: KERNEL_LANGUAGES[def.language] ? def.label : '', cells: null, outputs: null, errors: null, lastExecution: null,
+    warnings: null, ...search.facts
+  };
+  if (search.metadata) {
+    const kernelspec = search.metadata.kernelspec || {};
+    const language = getNotebookLanguage({ metadata: search.metadata });
+    facts.kernel = [language, kernelspec.name, kernelspec.display_name]
+      .filter(Boolean).join(' ').toLowerCase();
+    facts.kernelLabel = kernelspec.display_name || language;
   }
-  
-  // Normalize Windows paths: replace all backslashes with forward slashes
-  // Handle both single and double backslashes (some Windows APIs return double)
-  const normalized = path.replace(/\\\\+/g, '/').replace(/\\/g, '/');
-  
+  return { facts, segments: search.segments };
+}
+
+/**
+ * Make the search data of a file
+ * Notebooks contribute one segment per markdown cell, code cell source and text output;
+ * other files (and unreadable notebooks) are indexed as a single segment. The kernel facts
+ * are left to analyzeSearchFile(), which gets the metadata they come from.
+ * Runs inside the parse worker too (see extractNotebookPreview).
+ * @param {Object|null} nb - The parsed notebook, null for other files
+ * @param {string} raw - The file contents
+ * @returns {{facts: Object, segments: {cell: number|null, kind: string, text: string}[], metadata: Object|null}}
+ *   Notebook facts for query filters, searchable segments and the kernel metadata
+ */
+function analyzeNotebookSearch(nb, raw) {
+  if (!nb) {
+    return { facts: {}, segments: [{ cell: null, kind: 'text', text: raw }], metadata: null };
+  }
+  const meta = nb.metadata || {};
+  const facts = {
+    hasImage: false, hasError: false, hasOutput: false, cellKinds: new Set(), lastExecution: null,
+    cells: (nb.cells || []).length, warnings: lintNotebook(nb).length, outputs: 0, errors: 0
+  };
+  const segments = [];
+  (nb.cells || []).forEach((c, i) => {
+    const kind = c.cell_type === 'markdown' ? 'markdown' : 'code';
+    facts.cellKinds.add(kind);
+    if (Number.isInteger(c.execution_count)) {
+      facts.lastExecution = Math.max(facts.lastExecution || 0, c.execution_count);
+    }
+    segments.push({ cell: i, kind, text: multilineString(c.source) });
+    (c.outputs || []).forEach(o => {
+      facts.hasOutput = true;
+      facts.outputs++;
+      if (o.output_type === 'error') {
+        facts.hasError = true;
+        facts.errors++;
+      }
+      if (o.data && ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml'].some(m => o.data[m])) {
+        facts.hasImage = true;
+      }
+      const text = outputSearchText(o);
+      if (text) segments.push({ cell: i, kind: 'output', text });
+    });
+  });
+  return { facts, segments, metadata: { kernelspec: meta.kernelspec, language_info: meta.language_info } };
+}
+
+/**
+ * Get the plain text of an output for indexing (ANSI codes stripped)
+ * @param {Object} o - An nbformat output
+ * @returns {string} Searchable text ('' for images and other binary outputs)
+ */
+function outputSearchText(o) {
+  let text = '';
+  if (o.output_type === 'stream') {
+    text = multilineString(o.text);
+  } else if (o.output_type === 'error') {
+    text = [o.ename, o.evalue, ...(o.traceback || [])].join('\n');
+  } else if (o.data) {
+    text = multilineString(o.data['text/plain'] || o.data['text/markdown'] || '');
+  }
+  return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+/**
+ * Build the search index for all loaded files in the background
+ * Files are read one at a time and the event loop is yielded between them,
+ * so the gallery stays responsive; searches run against whatever is indexed so far
+ * (an active query is refreshed at most every SEARCH_INDEX_REFRESH_INTERVAL ms, and once at the end).
+ * @param {File[]} files - Every loaded file
+ */
+async function buildSearchIndex(files) {
+  const index = createSearchIndex(searchIndex.generation + 1);
+  index.total = files.length;
+  searchIndex = index;
+  let lastRefresh = 0;
+  for (const file of files) {
+    let search = analyzeNotebookSearch(null, '');
+    try {
+      // Notebooks come parsed from the worker; only their search data is posted back
+      search = getEntrySearch(await getFileEntry(file, false), getFileType(file.name));
+    } catch (err) {
+      // Unreadable files are indexed as empty
+    }
+    if (searchIndex !== index) return; // Superseded by a newer load or Clear All
+    const { facts, segments } = analyzeSearchFile(file, search);
+    const fileId = index.files.length;
+    const entry = { file, path: file.fullPath || file.name, ...facts, segmentIds: [] };
+    index.files.push(entry);
+    index.byPath.set(entry.path, entry);
+    segments.forEach(seg => {
+      const id = index.segments.length;
+      index.segments.push({ fileId, ...seg });
+      entry.segmentIds.push(id);
+      new Set(tokenize(seg.text)).forEach(token => {
+        if (!index.postings.has(token)) {
+          index.postings.set(token, new Set());
+          index.newTerms.push(token);
+        }
+        index.postings.get(token).add(id);
+      });
+    });
+    index.indexed++;
+    if (searchInput.value.trim() && Date.now() - lastRefresh >= SEARCH_INDEX_REFRESH_INTERVAL) {
+      refreshSearch();
+      lastRefresh = Date.now();
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  if (searchInput.value.trim()) refreshSearch();
   if (debugMode) {
-    console.log('[normalizeFilePath] File:', file.name);
-    console.log('[normalizeFilePath] webkitRelativePath:', file.webkitRelativePath);
-    console.log('[normalizeFilePath] fullPath:', file.fullPath);
-    console.log('[normalizeFilePath] Normalized:', normalized);
+    console.log('[buildSearchIndex] Indexed', index.segments.length, 'segments,', index.postings.size, 'tokens');
   }
-  
-  return normalized;
+  // Sort keys, kernel groups and table columns read the index; show their final values
+  if (galleryUsesIndex()) renderFolderView(getCurrentNode());
 }
 
 /**
- * Build a nested tree structure from file array based on normalized paths
- * @param {File[]} files - Array of files (may have webkitRelativePath or fullPath)
- * @returns {Object} Nested tree structure representing the folder hierarchy
+ * Find the ids of segments containing a token starting with the given prefix
+ * @param {Object} index - The search index
+ * @param {string} prefix - Lowercase token prefix
+ * @returns {Set<number>} Matching segment ids
  */
-function buildTree(files) {
-  const tree = {};
-  for (const f of files) {
-    // Normalize the path (handles both webkitRelativePath and fullPath)
-    // Always set fullPath to normalized version for consistency
-    const normalized = normalizeFilePath(f);
-    f.fullPath = normalized;
-    
-    // Split into parts and remove empty segments
-    const parts = normalized.split('/').filter(Boolean);
-    
-    if (debugMode) {
-      console.log('[buildTree] File:', f.name);
-      console.log('[buildTree] Normalized path:', normalized);
-      console.log('[buildTree] Path parts:', parts);
+function lookupPrefix(index, prefix) {
+  const terms = getSortedTerms(index);
+  // Binary search for the first token >= prefix
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const ids = new Set();
+  for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) {
+    index.postings.get(terms[i]).forEach(id => ids.add(id));
+  }
+  return ids;
+}
+
+/**
+ * Sorted token list of the index, with the tokens added since the last lookup merged in
+ * Only the new tokens are sorted, so lookups while indexing stay cheap.
+ * @param {Object} index - The search index
+ * @returns {string[]} All tokens, sorted
+ */
+function getSortedTerms(index) {
+  if (!index.newTerms.length) return index.terms;
+  const added = index.newTerms.sort();
+  const old = index.terms;
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < old.length || j < added.length) {
+    merged.push(j >= added.length || (i < old.length && old[i] < added[j]) ? old[i++] : added[j++]);
+  }
+  index.terms = merged;
+  index.newTerms = [];
+  return merged;
+}
+
+/**
+ * Render an HTML snippet around the first hit in a segment, with hits marked
+ * @param {string} text - Segment text
+ * @param {RegExp|null} re - Highlight regex from buildHighlightRegex()
+ * @returns {{html: string, line: number}} Snippet HTML and 1-based line of the first hit
+ */
+function renderSnippet(text, re) {
+  const first = re ? nextMatch(re, text, 0) : null;
+  const pos = first ? first.index : 0;
+  const start = Math.max(0, pos - SEARCH_SNIPPET_CONTEXT);
+  const end = Math.min(text.length, pos + SEARCH_SNIPPET_CONTEXT * 2);
+  const slice = text.slice(start, end).replace(/\s+/g, ' ');
+  let html = '';
+  let last = 0;
+  let m;
+  while (re && (m = nextMatch(re, slice, last)) !== null) {
+    html += escapeHtml(slice.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  html += escapeHtml(slice.slice(last));
+  const line = text.slice(0, pos).split('\n').length;
+  return { html: (start > 0 ? '…' : '') + html + (end < text.length ? '…' : ''), line };
+}
+
+/**
+ * Find the next non-empty match of a global regex from a position
+ * @param {RegExp} re - Global regex
+ * @param {string} text - Text to search
+ * @param {number} from - Start position
+ * @returns {RegExpExecArray|null} The match
+ */
+function nextMatch(re, text, from) {
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[0]) return m;
+    re.lastIndex++; // Skip empty matches such as /x*/
+  }
+  return null;
+}
+
+/**
+ * Re-run the current query: update the gallery filter, the chips and the results panel
+ */
+function refreshSearch() {
+  const query = parseQuery(searchInput.value);
+  const invalid = Boolean(query.error);
+  searchInput.classList.toggle('invalid', invalid);
+  queryError.textContent = invalid ? query.error : '';
+  queryError.style.display = invalid ? 'block' : 'none';
+  renderQueryChips(query);
+  const result = invalid || !query.clauses.length ? null : evaluateQuery(query);
+  applyGalleryFilter(result);
+  renderSearchResults(query, result);
+}
+
+/**
+ * Render the global search results panel for a query
+ * @param {Object} query - Parsed query
+ * @param {Object|null} result - Result of evaluateQuery(), null when there is nothing to show
+ */
+function renderSearchResults(query, result) {
+  searchResults.innerHTML = '';
+  const hasFilters = query.clauses.some(c => c.kind === 'field');
+  if (!result || (!hasFilters && searchInput.value.trim().length < MIN_SEARCH_LENGTH)) {
+    searchResults.style.display = 'none';
+    return;
+  }
+  searchResults.style.display = 'block';
+
+  const { hits } = result;
+  const status = document.createElement('div');
+  status.className = 'search-status';
+  const files = result.files.length;
+  status.textContent = `${hits.length} match${hits.length === 1 ? '' : 'es'} in ${files} file${files === 1 ? '' : 's'}`;
+  if (searchIndex.indexed < searchIndex.total) {
+    status.textContent += ` (indexing ${searchIndex.indexed}/${searchIndex.total} files…)`;
+  }
+  if (hits.length > MAX_SEARCH_RESULTS) {
+    status.textContent += ` - showing the first ${MAX_SEARCH_RESULTS}`;
+  }
+  searchResults.appendChild(status);
+  announce(status.textContent);
+
+  hits.slice(0, MAX_SEARCH_RESULTS).forEach(hit => {
+    const entry = searchIndex.files[hit.fileId];
+    const item = document.createElement('div');
+    item.className = 'search-result';
+    const where = document.createElement('div');
+    where.className = 'search-result-location';
+    const path = document.createElement('span');
+    path.className = 'search-result-path';
+    path.textContent = entry.path;
+    const position = document.createElement('span');
+    position.className = 'search-result-cell';
+    where.appendChild(path);
+    where.appendChild(position);
+    item.appendChild(where);
+    if (hit.segmentId === null) {
+      position.textContent = 'matches filters';
+    } else {
+      const seg = searchIndex.segments[hit.segmentId];
+      const { html, line } = renderSnippet(seg.text, result.highlight);
+      position.textContent = seg.cell === null ? `line ${line}` : `cell ${seg.cell + 1} · ${seg.kind}`;
+      const snippet = document.createElement('div');
+      snippet.className = 'search-result-snippet';
+      snippet.innerHTML = html;
+      item.appendChild(snippet);
     }
-    
-    let node = tree;
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
-      if (i === parts.length - 1) {
-        // Last part is the filename - add to files array
-        if (!node.files) node.files = [];
-        node.files.push(f);
+    item.onclick = () => openSearchHit(hit, result.highlight);
+    item.tabIndex = 0;
+    item.setAttribute('role', 'button');
+    activateOnKeys(item);
+    searchResults.appendChild(item);
+  });
+}
+
+/**
+ * Open the file of a search hit in the viewer, scrolled to the matching cell
+ * @param {{fileId: number, segmentId: number|null}} hit - The hit
+ * @param {RegExp|null} highlight - Regex of the matches to highlight
+ */
+function openSearchHit(hit, highlight) {
+  const entry = searchIndex.files[hit.fileId];
+  const seg = hit.segmentId === null ? null : searchIndex.segments[hit.segmentId];
+  return openFileInViewer(entry.file, { cell: seg && seg.cell !== null ? seg.cell : undefined, highlight });
+}
+
+/**
+ * Wrap matches of a highlight regex in <mark class="search-hit"> elements
+ * Runs on the rendered DOM (after highlighting), so only text nodes are touched.
+ * @param {HTMLElement} container - Container to highlight within
+ * @param {RegExp} re - Highlight regex from buildHighlightRegex()
+ */
+function highlightTermsInContainer(container, re) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement.closest('.katex, mark') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  nodes.forEach(node => {
+    const text = node.nodeValue;
+    let m = nextMatch(re, text, 0);
+    if (!m) return;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    while (m) {
+      fragment.appendChild(document.createTextNode(text.slice(last, m.index)));
+      const mark = document.createElement('mark');
+      mark.className = 'search-hit';
+      mark.textContent = m[0];
+      fragment.appendChild(mark);
+      last = m.index + m[0].length;
+      m = nextMatch(re, text, last);
+    }
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    node.parentNode.replaceChild(fragment, node);
+  });
+}
+
+/**
+ * Show or hide the gallery cards of the current folder according to a query result
+ * Folder cards stay visible when any file below them matches. Files the background
+ * index has not reached yet stay visible until they can be evaluated.
+ * @param {Object|null} result - Result of evaluateQuery(), null to show everything
+ */
+function applyGalleryFilter(result) {
+  const matching = result ? new Set(result.files.map(f => f.path)) : null;
+  gallery.querySelectorAll('[data-path]').forEach(card => {
+    let visible = true;
+    if (matching) {
+      const path = card.dataset.path;
+      if (card.classList.contains('folder')) {
+        const prefix = path + '/';
+        visible = [...matching].some(p => p.startsWith(prefix)) ||
+          collectFiles(getNodeAtPath(path)).some(f => !searchIndex.byPath.has(f.fullPath));
       } else {
-        // Intermediate part is a folder name
-        node[part] = node[part] || {};
-        node = node[part];
+        visible = matching.has(path) || !searchIndex.byPath.has(path);
       }
     }
+    card.style.display = visible ? '' : 'none';
+  });
+  // Hide groups left without a visible file
+  gallery.querySelectorAll('.gallery-group').forEach(group => {
+    group.style.display = group.querySelector('.card:not([style*="none"])') ? '' : 'none';
+  });
+}
+
+// ============================================================================
+// Accessibility: Focus and Announcements
+// ============================================================================
+
+/**
+ * Read a message to screen reader users through the polite live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  clearTimeout(announceTimer);
+  announcer.textContent = '';
+  announceTimer = setTimeout(() => {
+    announcer.textContent = message;
+  }, ANNOUNCE_DELAY);
+}
+
+/**
+ * Announce the file shown in the viewer and its position in the navigation order
+ * @param {Object} meta - Card metadata
+ */
+function announceViewerFile(meta) {
+  const position = navigationCardIds.length > 1 ? `, file ${currentCardIndex + 1} of ${navigationCardIds.length}` : '';
+  announce(`${meta.filename}${position}`);
+}
+
+/**
+ * Move the focus into a dialog that just opened, remembering where it was
+ * @param {HTMLElement} dialog - The dialog
+ * @param {HTMLElement} target - Element of the dialog to focus
+ */
+function focusDialog(dialog, target) {
+  if (!dialogReturnFocus.has(dialog)) dialogReturnFocus.set(dialog, document.activeElement);
+  target.focus({ preventScroll: true });
+}
+
+/**
+ * Give the focus back to where it was before a dialog opened
+ * @param {HTMLElement} dialog - The dialog that closed
+ */
+function restoreDialogFocus(dialog) {
+  const previous = dialogReturnFocus.get(dialog);
+  dialogReturnFocus.delete(dialog);
+  if (previous && previous.isConnected && previous !== document.body) previous.focus({ preventScroll: true });
+}
+
+/**
+ * Get the topmost open dialog
+ * @returns {HTMLElement|null} Command palette, shortcut overlay, lightbox or viewer
+ */
+function getOpenDialog() {
+  if (commandPalette) return palette;
+  if (shortcutsHelp.style.display !== 'none') return shortcutsHelp;
+  if (lightboxFigure) return lightbox;
+  return modal.style.display === 'block' ? modal : null;
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling through the focusable elements of a dialog
+ * @param {KeyboardEvent} e - The Tab key event
+ * @param {HTMLElement} dialog - The open dialog
+ */
+function trapFocus(e, dialog) {
+  const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter(el => !el.disabled && el.getClientRects().length);
+  const active = document.activeElement;
+  if (!focusable.length) {
+    e.preventDefault();
+    return;
   }
-  
-  if (debugMode) {
-    console.log('[buildTree] Final tree structure:', tree);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (!dialog.contains(active) || (e.shiftKey ? active === first : active === last)) {
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
   }
-  
-  return tree;
 }
 
 /**
- * Initialize the gallery with uploaded files
- * @param {FileList} files - The files to display in the gallery
+ * Let Enter and Space activate an element that is clickable but not a button
+ * @param {HTMLElement} el - Focusable element with a click handler
  */
-function initGallery(files) {
-  const supportedFiles = Array.from(files).filter(f => 
-    SUPPORTED_EXTENSIONS.some(ext => f.name.endsWith(ext)) && !f.name.startsWith('._')
-  );
-  if (!supportedFiles.length) {
-    alert("No .ipynb or .py files found.");
-    return;
-  }
-  
-  if (debugMode) {
-    console.log('[initGallery] Processing', supportedFiles.length, 'files');
-    supportedFiles.forEach(f => {
-      console.log('[initGallery] File:', f.name, 'webkitRelativePath:', f.webkitRelativePath, 'fullPath:', f.fullPath);
-    });
-  }
-  
-  folderStructure = buildTree(supportedFiles);
-  currentPath = [];
-  renderFolderView(folderStructure);
-  dropzone.style.display = 'none';
-  searchbar.style.display = 'block';
-  breadcrumbs.style.display = 'block';
+function activateOnKeys(el) {
+  el.addEventListener('keydown', e => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    e.stopPropagation();
+    el.click();
+  });
 }
 
+// ============================================================================
+// Themes
+// ============================================================================
+
 /**
- * Render the current folder view with subfolders and files
- * @param {Object} node - The current folder node to render
+ * Get the theme to show for a preference
+ * 'auto' follows the system: high contrast when more contrast is asked for, otherwise
+ * dark or light by prefers-color-scheme.
+ * @param {string} preference - A THEMES key or 'auto'
+ * @returns {string} THEMES key
  */
-function renderFolderView(node) {
-  gallery.innerHTML = '';
-  updateBreadcrumbs();
+function resolveTheme(preference) {
+  if (THEMES[preference]) return preference;
+  const matches = query => Boolean(window.matchMedia && window.matchMedia(query).matches);
+  if (matches('(prefers-contrast: more)')) return 'high-contrast';
+  return matches('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
 
-  // Render folders first
-  for (const [name, val] of Object.entries(node)) {
-    if (name !== 'files' && !name.startsWith('._')) {
-      const card = document.createElement('div');
-      card.className = 'card folder';
-      card.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M3 7h5l2 3h11a1 1 0 0 1 1 1v8a2 2 0 0 1-2 2H4a1 1 0 0 1-1-1V7z"/></svg>' + name;
-      card.onclick = () => {
-        currentPath.push(name);
-        renderFolderView(node[name]);
-      };
-      gallery.appendChild(card);
-    }
-  }
-
-  // Render files
-  if (node.files) {
-    node.files.forEach(file => {
-      const ext = file.name.endsWith('.py') ? FILE_EXTENSIONS.PY : FILE_EXTENSIONS.IPYNB;
-      if (!showPyFiles && ext === FILE_EXTENSIONS.PY) return;
-
-      const card = document.createElement('div');
-      card.className = `card ${ext}`;
-      const header = document.createElement('div');
-      header.className = 'card-header';
-      header.textContent = file.name;
-      const content = document.createElement('div');
-      content.className = 'card-content';
-      card.appendChild(header);
-      card.appendChild(content);
-      gallery.appendChild(card);
-
-      // Use IntersectionObserver for lazy loading file content
-      const observer = new IntersectionObserver((entries, obs) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            obs.disconnect();
-            const reader = new FileReader();
-            reader.onload = e => {
-              try {
-                if (ext === FILE_EXTENSIONS.IPYNB) {
-                  const nb = JSON.parse(e.target.result);
-                  const html = renderNotebookPreview(nb);
-                  content.innerHTML = html;
-                  // Highlight code after DOM update
-                  highlightCodeInContainer(content);
-                } else {
-                  // Render Python file preview
-                  const code = e.target.result.split('\n').slice(0, PYTHON_PREVIEW_LINES).join('\n');
-                  content.innerHTML = `<pre><code class="language-python">${escapeHtml(code)}</code></pre>`;
-                  // Highlight code after DOM update
-                  highlightCodeInContainer(content);
-                }
-                const id = Math.random().toString(36).slice(2);
-                card.dataset.cardId = id; // Store ID for navigation
-                cardMap.set(id, { filename: file.name, raw: e.target.result, type: ext });
-                card.onclick = () => openNotebookModal(id);
-              } catch (err) {
-                content.textContent = 'Error parsing';
-              }
-            };
-            reader.readAsText(file);
-          }
-        });
+/**
+ * Apply themePreference: set `data-theme` on <html> and swap the highlight.js stylesheet
+ * Printouts use the light colors, so a dark highlight.js theme is limited to the screen.
+ */
+function applyTheme() {
+  const theme = resolveTheme(themePreference);
+  document.documentElement.dataset.theme = theme;
+  if (highlightTheme.getAttribute('href') !== THEMES[theme].highlight) {
+    highlightTheme.setAttribute('href', THEMES[theme].highlight);
+  }
+  highlightTheme.media = theme === 'light' ? 'all' : 'screen';
+  themeSelect.value = themePreference;
+}
+
+/**
+ * Fill the theme selector and follow system changes while it is on Auto
+ */
+function initThemes() {
+  themeSelect.innerHTML = '<option value="auto">Auto</option>' + Object.entries(THEMES)
+    .map(([key, theme]) => `<option value="${key}">${escapeHtml(theme.label)}</option>`).join('');
+  themeSelect.addEventListener('change', () => {
+    themePreference = themeSelect.value;
+    applyTheme();
+  });
+  if (window.matchMedia) {
+    ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+      window.matchMedia(query).addEventListener('change', () => {
+        if (themePreference === 'auto') applyTheme();
       });
-      observer.observe(card);
     });
   }
+  applyTheme();
 }
 
 // ============================================================================
-// Breadcrumb Navigation
+// Keyboard Shortcuts and Command Palette
 // ============================================================================
 
 /**
- * Update the breadcrumb trail based on currentPath
+ * Dispatch a keydown to its KEYMAP entry
+ * Overlays come first: Tab stays inside the open dialog, the lightbox and shortcut overlay
+ * close on Escape, the command palette handles its own keys (handlePaletteKey). A shortcut
+ * whose action returns false did nothing, so the key keeps its default behaviour.
+ * @param {KeyboardEvent} e - The key event
  */
-function updateBreadcrumbs() {
-  breadcrumbs.innerHTML = '';
-  const root = document.createElement('span');
-  root.textContent = '🏠 root';
-  root.className = 'breadcrumb-item';
-  root.onclick = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    currentPath = [];
-    renderFolderView(folderStructure);
-  };
-  breadcrumbs.appendChild(root);
-  
-  currentPath.forEach((seg, i) => {
-    const arrow = document.createTextNode(' → ');
-    breadcrumbs.appendChild(arrow);
-    
-    const span = document.createElement('span');
-    span.className = 'breadcrumb-item';
-    span.textContent = seg;
-    span.onclick = (e) => {
+function handleShortcutKey(e) {
+  if (e.key === 'Tab') {
+    const dialog = getOpenDialog();
+    if (dialog) trapFocus(e, dialog);
+    return;
+  }
+  if (lightboxFigure) {
+    if (e.key === 'Escape') closeLightbox();
+    return;
+  }
+  const chord = getKeyChord(e);
+  if (commandPalette) {
+    if (chord === 'Ctrl+k') {
       e.preventDefault();
-      e.stopPropagation();
-      currentPath = currentPath.slice(0, i + 1);
-      let node = folderStructure;
-      for (const p of currentPath) {
-        if (node && node[p]) {
-          node = node[p];
-        } else {
-          console.warn('Path segment not found:', p, 'in path:', currentPath);
-          // Fall back to root if path is invalid
-          currentPath = [];
-          node = folderStructure;
-          break;
-        }
-      }
-      renderFolderView(node);
-    };
-    breadcrumbs.appendChild(span);
-  });
+      closeCommandPalette();
+    }
+    return;
+  }
+  if (shortcutsHelp.style.display !== 'none') {
+    if (e.key === 'Escape' || chord === '?') toggleShortcutsHelp();
+    return;
+  }
+  const context = getShortcutContext();
+  // Enter and Space on a focused control (button, link, checkbox...) must still activate it
+  const typing = isTextField(e.target) || ((e.key === 'Enter' || e.key === ' ') && e.target instanceof Element &&
+    !!e.target.closest('button, a[href], summary, input, select, label'));
+  const binding = context && chord && KEYMAP.find(entry =>
+    entry.keys.includes(chord) && entry.contexts.includes(context) && (!typing || entry.inTextFields));
+  if (!binding || binding.run(e) === false) return;
+  e.preventDefault();
 }
 
-// ============================================================================
-// Modal Viewer Functions
-// ============================================================================
+/**
+ * Name a key event the way KEYMAP does
+ * @param {KeyboardEvent} e - The key event
+ * @returns {string|null} e.g. 'j', 'ArrowDown', 'Ctrl+k'; null for Alt chords
+ */
+function getKeyChord(e) {
+  if (e.altKey) return null;
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  return (e.ctrlKey || e.metaKey ? 'Ctrl+' : '') + key;
+}
 
 /**
- * Close the modal viewer and reset navigation state
+ * Where keyboard shortcuts currently apply
+ * @returns {'gallery'|'viewer'|null} Context, null while no files are loaded
  */
-function closeModal() {
-  modal.style.display = 'none';
-  viewerBody.innerHTML = '';
-  currentCardIndex = -1;
-  navigationCardIds = [];
+function getShortcutContext() {
+  if (modal.style.display === 'block') return 'viewer';
+  return Object.keys(folderStructure).length ? 'gallery' : null;
 }
 
 /**
- * Get all available card IDs from the current gallery view
- * @returns {string[]} Array of card IDs in the current view
+ * Check whether typing in an element produces text (so letter shortcuts must not fire)
+ * @param {EventTarget} el - Event target
+ * @returns {boolean} True for text inputs, text areas, selects and editable content
  */
-function getAllCardIds() {
-  const cardIds = [];
-  gallery.querySelectorAll('.card').forEach(card => {
-    // Get card ID from onclick handler (stored in the card element)
-    if (card.dataset.cardId) {
-      cardIds.push(card.dataset.cardId);
+function isTextField(el) {
+  if (!(el instanceof Element)) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(el.type);
+}
+
+/**
+ * Visible cards (or table rows) of the gallery, in display order
+ * @returns {HTMLElement[]} Items with a data-path, not hidden by the search filter
+ */
+function getGalleryItems() {
+  return [...gallery.querySelectorAll('[data-path]')]
+    .filter(item => item.style.display !== 'none' && !item.closest('.gallery-group[style*="none"]'));
+}
+
+/**
+ * Get the gallery item with the keyboard focus ring
+ * @returns {HTMLElement|null} The item, or null if none is focused or it is hidden
+ */
+function getFocusedItem() {
+  return getGalleryItems().find(item => item.dataset.path === galleryFocusPath) || null;
+}
+
+/**
+ * Move the keyboard focus ring to a gallery item
+ * @param {HTMLElement} item - Card or table row
+ */
+function setGalleryFocus(item) {
+  gallery.querySelectorAll('.keyboard-focus').forEach(el => el.classList.remove('keyboard-focus'));
+  item.classList.add('keyboard-focus');
+  galleryFocusPath = item.dataset.path;
+  if (document.activeElement !== item) item.focus({ preventScroll: true });
+  item.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Show the focus ring again after the gallery was re-rendered
+ * The item also gets the keyboard focus back if re-rendering dropped it.
+ */
+function restoreGalleryFocus() {
+  const item = [...gallery.querySelectorAll('[data-path]')].find(el => el.dataset.path === galleryFocusPath);
+  if (!item) return;
+  item.classList.add('keyboard-focus');
+  if (document.activeElement === document.body || !document.activeElement) item.focus({ preventScroll: true });
+}
+
+/**
+ * Move the focus ring to the next or previous item (the first or last if none is focused)
+ * @param {number} step - 1 for next, -1 for previous
+ */
+function moveGalleryFocus(step) {
+  const items = getGalleryItems();
+  if (!items.length) return;
+  const index = items.findIndex(item => item.dataset.path === galleryFocusPath);
+  const next = index === -1 ? (step > 0 ? 0 : items.length - 1) : Math.max(0, Math.min(items.length - 1, index + step));
+  setGalleryFocus(items[next]);
+}
+
+/**
+ * Move the focus ring to the item right below or above the focused one
+ * Picks the nearest row in that direction and, in it, the item closest horizontally.
+ * @param {number} direction - 1 for down, -1 for up
+ */
+function moveGalleryFocusRow(direction) {
+  const current = getFocusedItem();
+  const rect = current && current.getBoundingClientRect();
+  if (!rect || !rect.height) {
+    moveGalleryFocus(direction); // Nothing focused yet, or no layout to measure
+    return;
+  }
+  const center = rect.left + rect.width / 2;
+  let best = null;
+  getGalleryItems().forEach(item => {
+    const r = item.getBoundingClientRect();
+    const distance = (r.top - rect.top) * direction;
+    if (distance < rect.height / 2) return;
+    const offset = Math.abs(r.left + r.width / 2 - center);
+    if (!best || distance < best.distance - 1 || (Math.abs(distance - best.distance) <= 1 && offset < best.offset)) {
+      best = { item, distance, offset };
     }
   });
-  return cardIds;
+  if (best) setGalleryFocus(best.item);
 }
 
 /**
- * Open the modal viewer for a specific file
- * @param {string} cardId - The unique ID of the card to display
+ * Open the focused item: enter a folder (focusing its first item) or view a file
+ * Space only opens the item that has the keyboard focus itself; elsewhere it scrolls the page.
+ * @param {KeyboardEvent} e - The key event
+ * @returns {boolean|undefined} False when no item is focused
  */
-function openNotebookModal(cardId) {
-  const meta = cardMap.get(cardId);
-  if (!meta) return;
+function openFocusedItem(e) {
+  const item = getFocusedItem();
+  if (!item || (e.key === ' ' && e.target !== item)) return false;
+  if (item.classList.contains('folder')) {
+    galleryFocusPath = null;
+    item.click();
+    moveGalleryFocus(1);
+    return;
+  }
+  const file = collectFiles(folderStructure).find(f => f.fullPath === item.dataset.path);
+  if (file) openFileInViewer(file);
+}
 
-  // Get all card IDs for navigation
-  navigationCardIds = getAllCardIds();
-  currentCardIndex = navigationCardIds.indexOf(cardId);
+/**
+ * Add or remove the focused file from the comparison selection
+ * @returns {boolean|undefined} False when no loaded file is focused
+ */
+function toggleFocusedSelection() {
+  const item = getFocusedItem();
+  if (!item || !item.dataset.cardId) return false;
+  toggleCompareSelection(item.dataset.cardId);
+}
 
-  loadNotebookInModal(meta);
-  updateNavigationButtons();
+/**
+ * Go up one folder, keeping the folder just left focused
+ */
+function openParentFolder() {
+  if (!currentPath.length) return;
+  galleryFocusPath = currentPath.join('/');
+  currentPath.pop();
+  renderFolderView(getCurrentNode());
+}
 
-  modal.style.display = 'block';
-  
-  // Scroll to top
-  modal.scrollTop = 0;
+/**
+ * Show a folder of the loaded tree in the gallery (closing the viewer)
+ * @param {string[]} path - Folder path segments
+ */
+function showFolder(path) {
+  if (modal.style.display === 'block') closeModal();
+  currentPath = [...path];
+  galleryFocusPath = null;
+  renderFolderView(getCurrentNode());
 }
 
 /**
- * Load notebook content into the modal
- * @param {Object} meta - The file metadata
+ * List every folder of the loaded tree
+ * @param {Object} node - Folder node
+ * @param {string[]} [path] - Path of the node
+ * @returns {string[][]} Folder paths, parents before children
  */
-function loadNotebookInModal(meta) {
-  viewerTitle.textContent = meta.filename;
+function collectFolderPaths(node, path = []) {
+  return Object.keys(node)
+    .filter(name => name !== 'files')
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .flatMap(name => [[...path, name], ...collectFolderPaths(node[name], [...path, name])]);
+}
 
-  if (meta.type === FILE_EXTENSIONS.PY) {
-    viewerBody.innerHTML = `<pre><code class="language-python">${escapeHtml(meta.raw)}</code></pre>`;
-    highlightCodeInContainer(viewerBody);
-  } else {
-    let nb;
-    try {
-      nb = JSON.parse(meta.raw);
-    } catch (err) {
-      alert('Parse error');
-      return;
-    }
-    viewerBody.innerHTML = renderFullNotebook(nb);
-    highlightCodeInContainer(viewerBody);
+/**
+ * Commands offered by the command palette in the current state
+ * @returns {{kind: string, label: string, run: function(): void}[]} Commands
+ */
+function getPaletteCommands() {
+  const present = new Set(collectFiles(folderStructure).map(f => getFileType(f.name)));
+  const command = (label, run) => ({ kind: 'command', label, run });
+  const commands = Object.entries(FILE_TYPES)
+    .filter(([type]) => present.has(type))
+    .map(([type, def]) => command(
+      `${hiddenFileTypes.has(type) ? 'Show' : 'Hide'} ${def.extensions.join(' / ')} files (${def.label})`,
+      () => typeFilters.querySelector(`input[data-type="${type}"]`).click()
+    ));
+  const otherView = galleryOptions.view === 'table' ? 'cards' : 'table';
+  commands.push(command(`Switch to ${otherView === 'table' ? 'table' : 'card'} view`, () => {
+    galleryOptions.view = otherView;
+    renderFolderView(getCurrentNode());
+  }));
+  [...groupSelect.options].filter(option => option.value !== galleryOptions.group).forEach(option => {
+    commands.push(command(`Group by: ${option.textContent}`, () => {
+      galleryOptions.group = option.value;
+      renderFolderView(getCurrentNode());
+    }));
+  });
+  [...themeSelect.options].filter(option => option.value !== themePreference).forEach(option => {
+    commands.push(command(`Theme: ${option.textContent}`, () => {
+      themePreference = option.value;
+      applyTheme();
+    }));
+  });
+  commands.push(command('Folder statistics', openStatsDashboard));
+  commands.push(command('Figure gallery', openFigureGallery));
+  if (getViewerMeta()) {
+    commands.push(command('Export the open file as HTML', exportViewerHtml));
+    commands.push(command('Print the open file', () => window.print()));
   }
+  if (compareSelection.length === 2) commands.push(command('Compare the selected files', openCompareView));
+  commands.push(command('Show keyboard shortcuts', toggleShortcutsHelp));
+  commands.push(command('Clear all files', () => clearBtn.click()));
+  return commands;
 }
 
 /**
- * Navigate to the previous file in the gallery
+ * Open the command palette over the gallery or viewer
  */
-function navigatePrevious() {
-  if (currentCardIndex > 0 && !prevButton.disabled) {
-    currentCardIndex--;
-    const cardId = navigationCardIds[currentCardIndex];
-    const meta = cardMap.get(cardId);
-    if (meta) {
-      loadNotebookInModal(meta);
-      updateNavigationButtons();
-      modal.scrollTop = 0;
-    }
+function openCommandPalette() {
+  const folders = collectFolderPaths(folderStructure).map(path => ({
+    kind: 'folder', label: `${path.join('/')}/`, run: () => showFolder(path)
+  }));
+  const files = collectFiles(folderStructure).map(file => ({
+    kind: 'file', label: file.fullPath, run: () => openFileInViewer(file)
+  }));
+  commandPalette = {
+    items: [...getPaletteCommands(), ...folders, ...files],
+    matches: [],
+    selected: 0,
+    returnFocus: document.activeElement
+  };
+  palette.style.display = 'flex';
+  paletteInput.value = '';
+  updateCommandPalette();
+  paletteInput.focus();
+}
+
+/**
+ * Close the command palette, giving the focus back
+ */
+function closeCommandPalette() {
+  if (!commandPalette) return;
+  const { returnFocus } = commandPalette;
+  commandPalette = null;
+  palette.style.display = 'none';
+  paletteList.innerHTML = '';
+  if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) returnFocus.focus();
+  else paletteInput.blur();
+}
+
+/**
+ * Match text against a fuzzy query: the query characters must appear in order
+ * Matches at the start of words and path segments and runs of consecutive characters
+ * score higher; shorter texts win ties.
+ * @param {string} query - Lower-case query without spaces
+ * @param {string} text - Text to match
+ * @returns {{score: number, positions: number[]}|null} Score and matched character indexes, or null
+ */
+function fuzzyMatch(query, text) {
+  const lower = text.toLowerCase();
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of query) {
+    const index = lower.indexOf(ch, from);
+    if (index === -1) return null;
+    score += 1;
+    if (index === 0 || /[\s/_\-.]/.test(text[index - 1])) score += 8;
+    if (positions.length && index === positions[positions.length - 1] + 1) score += 5;
+    positions.push(index);
+    from = index + 1;
   }
+  return { score: score - text.length / 100, positions };
 }
 
 /**
- * Navigate to the next file in the gallery
+ * Filter the palette entries by the input and list the best matches
  */
-function navigateNext() {
-  if (currentCardIndex < navigationCardIds.length - 1 && !nextButton.disabled) {
-    currentCardIndex++;
-    const cardId = navigationCardIds[currentCardIndex];
-    const meta = cardMap.get(cardId);
-    if (meta) {
-      loadNotebookInModal(meta);
-      updateNavigationButtons();
-      modal.scrollTop = 0;
-    }
+function updateCommandPalette() {
+  const query = paletteInput.value.toLowerCase().replace(/\s+/g, '');
+  commandPalette.matches = (query
+    ? commandPalette.items
+      .map(item => ({ ...item, match: fuzzyMatch(query, item.label) }))
+      .filter(item => item.match)
+      .sort((a, b) => b.match.score - a.match.score)
+    : commandPalette.items
+  ).slice(0, PALETTE_MAX_RESULTS);
+  commandPalette.selected = 0;
+  renderPaletteList();
+}
+
+/**
+ * Render the matching palette entries, highlighting the matched characters
+ */
+function renderPaletteList() {
+  const icons = { command: '▸', folder: '📁', file: '📄' };
+  paletteList.innerHTML = commandPalette.matches.map((item, i) => {
+    const marked = new Set(item.match ? item.match.positions : []);
+    const label = [...item.label].map((ch, j) => (marked.has(j) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch))).join('');
+    const selected = i === commandPalette.selected;
+    return `<li id="palette-option-${i}" data-index="${i}" class="palette-${item.kind}${selected ? ' active' : ''}" role="option" aria-selected="${selected}">
+      <span class="palette-icon">${icons[item.kind]}</span>${label}</li>`;
+  }).join('') || '<li class="palette-empty">No match</li>';
+  const active = paletteList.querySelector('.active');
+  if (active) {
+    paletteInput.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  } else {
+    paletteInput.removeAttribute('aria-activedescendant');
   }
 }
 
 /**
- * Update navigation button state based on current position
+ * Keys of the palette input: ↑ ↓ choose, Enter runs, Esc closes
+ * @param {KeyboardEvent} e - The key event
  */
-function updateNavigationButtons() {
-  if (prevButton && nextButton) {
-    const hasPrev = currentCardIndex > 0;
-    const hasNext = currentCardIndex < navigationCardIds.length - 1;
-    
-    prevButton.disabled = !hasPrev;
-    prevButton.classList.toggle('disabled', !hasPrev);
-    
-    nextButton.disabled = !hasNext;
-    nextButton.classList.toggle('disabled', !hasNext);
+function handlePaletteKey(e) {
+  const count = commandPalette.matches.length;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (!count) return;
+    commandPalette.selected = (commandPalette.selected + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+    renderPaletteList();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (count) runPaletteItem(commandPalette.matches[commandPalette.selected]);
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    closeCommandPalette();
+  }
+}
+
+/**
+ * Close the palette and run one of its entries
+ * @param {{run: function(): void}} item - Palette entry
+ */
+function runPaletteItem(item) {
+  closeCommandPalette();
+  item.run();
+}
+
+/**
+ * Show or hide the overlay listing every KEYMAP shortcut
+ */
+function toggleShortcutsHelp() {
+  if (shortcutsHelp.style.display !== 'none') {
+    shortcutsHelp.style.display = 'none';
+    restoreDialogFocus(shortcutsHelp);
+    return;
   }
+  const sections = {};
+  KEYMAP.forEach(entry => {
+    const title = KEYMAP_SECTIONS[entry.contexts.join(',')];
+    const keys = entry.keys.map(key => `<kbd>${escapeHtml(KEY_LABELS[key] || key)}</kbd>`).join(' ');
+    (sections[title] = sections[title] || []).push(`<tr><td>${keys}</td><td>${escapeHtml(entry.description)}</td></tr>`);
+  });
+  document.getElementById('shortcutsList').innerHTML = Object.entries(sections)
+    .map(([title, rows]) => `<h4>${title}</h4><table class="shortcuts-table">${rows.join('')}</table>`).join('');
+  shortcutsHelp.style.display = 'flex';
+  focusDialog(shortcutsHelp, document.getElementById('shortcutsClose'));
 }
 
 // ============================================================================
@@ -660,50 +6857,139 @@ function initEventListeners() {
   });
 
   // Handle file drop
-  dropzone.addEventListener('drop', async e => {
+  dropzone.addEventListener('drop', e => {
     const items = e.dataTransfer.items;
     if (items && items.length) {
-      const files = [];
+      // Entries must be taken synchronously: the item list is emptied once the handler returns
+      const entries = [];
       for (const item of items) {
         const entry = item.webkitGetAsEntry && item.webkitGetAsEntry();
-        if (entry) await traverseFileTree(entry, files);
+        if (entry) entries.push(entry);
       }
-      initGallery(files);
-    } else initGallery(e.dataTransfer.files);
+      loadDroppedEntries(entries);
+    } else loadFiles(e.dataTransfer.files);
   });
 
   // Handle file input change
-  folderInput.addEventListener('change', e => initGallery(e.target.files));
+  folderInput.addEventListener('change', e => loadFiles(e.target.files));
 
-  // Search functionality
-  searchInput.addEventListener('input', () => {
-    const q = searchInput.value.toLowerCase();
-    [...gallery.children].forEach(c => {
-      const t = c.textContent.toLowerCase();
-      c.style.display = t.includes(q) ? 'block' : 'none';
+  // Archives are picked with their own input, as a directory picker cannot select files
+  archiveLink.addEventListener('click', e => {
+    e.stopPropagation();
+    archiveInput.click();
+  });
+  archiveInput.addEventListener('click', e => e.stopPropagation());
+  archiveInput.addEventListener('change', e => loadFiles(e.target.files));
+
+  // Ignore rules are edited in the dropzone; clicks there must not open the picker
+  ignoreInput.value = DEFAULT_IGNORE_PATTERNS.join('\n');
+  ignoreInput.closest('details').addEventListener('click', e => e.stopPropagation());
+
+  // Live folder mode, where the File System Access API is available
+  if (window.showDirectoryPicker) {
+    liveFolderBtn.style.display = '';
+    liveFolderBtn.addEventListener('click', e => {
+      e.stopPropagation();
+      openLiveFolder();
     });
+  }
+  window.addEventListener('focus', pollLiveFolder);
+
+  // Cancel a running load
+  loadCancelBtn.addEventListener('click', () => {
+    if (activeLoad) endLoad(Object.assign(activeLoad, { cancelled: true }));
   });
 
-  // Python files toggle - sync initial state
-  showPyFiles = showPyToggle.checked;
-  showPyToggle.addEventListener('change', e => {
-    showPyFiles = e.target.checked;
+  // Search functionality
+  searchInput.addEventListener('input', refreshSearch);
+
+  // Gallery toolbar: sort, grouping and view
+  sortSelect.addEventListener('change', () => {
+    galleryOptions.sort = sortSelect.value;
+    renderFolderView(getCurrentNode());
+  });
+  sortDirectionBtn.addEventListener('click', () => setGallerySort(galleryOptions.sort));
+  groupSelect.addEventListener('change', () => {
+    galleryOptions.group = groupSelect.value;
+    renderFolderView(getCurrentNode());
+  });
+  viewSelect.addEventListener('change', () => {
+    galleryOptions.view = viewSelect.value;
     renderFolderView(getCurrentNode());
   });
 
+  // Stats dashboard for the current folder
+  statsBtn.addEventListener('click', openStatsDashboard);
+
+  // Figure gallery and its lightbox
+  figuresBtn.addEventListener('click', openFigureGallery);
+  lightboxImage.addEventListener('click', () => lightboxImage.classList.toggle('zoomed'));
+  lightbox.addEventListener('click', e => {
+    if (e.target === lightbox) closeLightbox();
+  });
+  document.getElementById('lightboxClose').addEventListener('click', closeLightbox);
+  document.getElementById('lightboxDownload').addEventListener('click', () => downloadFigure(lightboxFigure));
+  document.getElementById('lightboxOpen').addEventListener('click', () => {
+    const { file, cell } = lightboxFigure;
+    closeLightbox();
+    openFileInViewer(file, { cell });
+  });
+
+  // Compare selection bar
+  compareBtn.addEventListener('click', openCompareView);
+  clearSelectionBtn.addEventListener('click', () => {
+    compareSelection = [];
+    updateSelectionBar();
+  });
+
   // Clear button
   clearBtn.addEventListener('click', () => {
+    // The viewer and lightbox may show files that are about to go (e.g. when run from the palette)
+    if (lightbox.style.display === 'flex') closeLightbox();
+    if (modal.style.display === 'block') closeModal();
     folderStructure = {};
     currentPath = [];
     cardMap.clear();
+    clearFileCache();
     gallery.innerHTML = '';
+    typeFilters.innerHTML = '';
+    searchIndex = createSearchIndex(searchIndex.generation + 1);
+    searchInput.value = '';
+    refreshSearch();
+    compareSelection = [];
+    updateSelectionBar();
+    stopLiveFolder();
+    updatedPaths.clear();
+    syncRoute();
     breadcrumbs.style.display = 'none';
+    galleryToolbar.style.display = 'none';
     searchbar.style.display = 'none';
     dropzone.style.display = 'block';
   });
 
   // Modal close handlers
   modalClose.onclick = closeModal;
+  exportButton.onclick = exportViewerHtml;
+  printButton.onclick = () => window.print();
+  window.addEventListener('beforeprint', renderAllViewerCells);
+
+  // Collapsed outputs
+  viewerBody.addEventListener('click', e => {
+    const button = e.target.closest('.show-more');
+    if (button) expandViewerOutput(button);
+  });
+
+  // Light, dark and high-contrast themes
+  initThemes();
+
+  // Size above which opening a file asks first
+  const updateSizeWarning = () => {
+    const mb = Math.max(0, Number(sizeWarningInput.value) || 0);
+    largeFileWarningBytes = mb * 1024 * 1024;
+  };
+  sizeWarningInput.value = DEFAULT_LARGE_FILE_WARNING_MB;
+  sizeWarningInput.addEventListener('change', updateSizeWarning);
+  updateSizeWarning();
 
   window.onclick = e => {
     if (e.target === modal) {
@@ -711,20 +6997,40 @@ function initEventListeners() {
     }
   };
 
-  // Keyboard navigation for modal
-  document.addEventListener('keydown', e => {
-    if (modal.style.display === 'block') {
-      if (e.key === 'ArrowLeft') {
-        e.preventDefault();
-        navigatePrevious();
-      } else if (e.key === 'ArrowRight') {
-        e.preventDefault();
-        navigateNext();
-      } else if (e.key === 'Escape') {
-        closeModal();
-      }
-    }
+  // Keyboard shortcuts (see KEYMAP)
+  document.addEventListener('keydown', handleShortcutKey);
+
+  // Tabbing onto a card moves the gallery focus ring with it
+  gallery.addEventListener('focusin', e => {
+    const item = e.target.closest('[data-path]');
+    if (item && item.dataset.path !== galleryFocusPath) setGalleryFocus(item);
+  });
+
+  // Command palette and shortcut overlay
+  paletteInput.addEventListener('input', updateCommandPalette);
+  paletteInput.addEventListener('keydown', handlePaletteKey);
+  paletteList.addEventListener('click', e => {
+    const item = e.target.closest('li[data-index]');
+    if (item) runPaletteItem(commandPalette.matches[Number(item.dataset.index)]);
+  });
+  palette.addEventListener('click', e => {
+    if (e.target === palette) closeCommandPalette();
+  });
+  shortcutsHelp.addEventListener('click', e => {
+    if (e.target === shortcutsHelp || e.target.id === 'shortcutsClose') toggleShortcutsHelp();
+  });
+
+  // Outline scroll-spy
+  modal.addEventListener('scroll', () => requestAnimationFrame(updateOutlineHighlight));
+
+  // Deep links: keep the URL fragment in sync with the cell scrolled to, and follow Back/Forward
+  let routeCellTimer = 0;
+  modal.addEventListener('scroll', () => {
+    clearTimeout(routeCellTimer);
+    routeCellTimer = setTimeout(updateRouteCell, ROUTE_CELL_UPDATE_INTERVAL);
   });
+  window.addEventListener('popstate', handleRouteChange);
+  window.addEventListener('hashchange', handleRouteChange);
 
   // Navigation button handlers
   if (prevButton) {
@@ -908,5 +7214,8 @@ window.disablePathDebug = function() {
 // ============================================================================
 
 // Initialize the application
+configureMarkdown();
+configureSanitizer();
 initEventListeners();
+handleRouteChange(); // A shared link waits until its folder is dropped
 